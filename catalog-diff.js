@@ -0,0 +1,217 @@
+/**
+ * Catalog diff for the Norko GraphQL API
+ *
+ * Compares two catalogs product by product (matched on id) and reports the
+ * products that were added, removed or changed, with field-level changes to:
+ * - price (the default variant's price and currency)
+ * - category
+ * - wattage, as the server reads it
+ * - specs and technical specs, one field per spec name
+ * - images, by URL
+ * - variants, matched on SKU
+ *
+ * Also runs as a CLI comparing two crystallize-products.json files:
+ *   node catalog-diff.js <from.json> <to.json> [--json]
+ *
+ * @author Norko Development Team
+ * @since 2025-07-06
+ */
+
+const fs = require('fs');
+const { parseCatalog } = require('./catalog-sources');
+const {
+  getProductCurrency, getProductImages, getProductPrice, getProductSpecs, getProductTechnicalSpecs, getProductWattage,
+  getVariantCurrency
+} = require('./product-fields');
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Changes between two flat objects, one per key whose value differs
+function diffFields(prefix, from, to) {
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(key => !sameValue(from[key], to[key]))
+    .map(key => ({ field: `${prefix}.${key}`, from: from[key] ?? null, to: to[key] ?? null }));
+}
+
+function trackedVariantFields(variant) {
+  return {
+    name: variant.name,
+    price: variant.price,
+    currency: getVariantCurrency(variant),
+    stock: variant.stock,
+    attributes: variant.attributes || []
+  };
+}
+
+// Variants matched on SKU: whole variants when added or removed, single fields when changed
+function diffVariants(from, to) {
+  const bySku = variants => new Map(variants.map(variant => [String(variant.sku || '').toUpperCase(), variant]));
+  const fromVariants = bySku(from.variants || []);
+  const toVariants = bySku(to.variants || []);
+  const changes = [];
+
+  fromVariants.forEach((variant, sku) => {
+    if (!toVariants.has(sku)) changes.push({ field: `variants.${sku}`, from: variant, to: null });
+  });
+  toVariants.forEach((variant, sku) => {
+    const previous = fromVariants.get(sku);
+    if (!previous) {
+      changes.push({ field: `variants.${sku}`, from: null, to: variant });
+      return;
+    }
+    changes.push(...diffFields(`variants.${sku}`, trackedVariantFields(previous), trackedVariantFields(variant)));
+  });
+  return changes;
+}
+
+/**
+ * Field-level changes between two versions of a product
+ * @param {Object} from - Raw product before
+ * @param {Object} to - Raw product after
+ * @returns {Array<{field: string, from: *, to: *}>} Empty when nothing tracked changed
+ */
+function diffProduct(from, to) {
+  const changes = [];
+
+  const price = product => ({ price: getProductPrice(product), currency: getProductCurrency(product) });
+  if (!sameValue(price(from), price(to))) {
+    changes.push({ field: 'price', from: price(from), to: price(to) });
+  }
+  if (from.category !== to.category) {
+    changes.push({ field: 'category', from: from.category ?? null, to: to.category ?? null });
+  }
+  const wattage = product => getProductWattage(product) || null;
+  if (wattage(from) !== wattage(to)) {
+    changes.push({ field: 'wattage', from: wattage(from), to: wattage(to) });
+  }
+
+  changes.push(...diffFields('specs', getProductSpecs(from), getProductSpecs(to)));
+  changes.push(...diffFields('technicalSpecs', getProductTechnicalSpecs(from), getProductTechnicalSpecs(to)));
+
+  const imageUrls = product => getProductImages(product).map(image => image.url);
+  const fromImages = imageUrls(from);
+  const toImages = imageUrls(to);
+  if (!sameValue(fromImages, toImages)) {
+    changes.push({ field: 'images', from: fromImages, to: toImages });
+  }
+
+  changes.push(...diffVariants(from, to));
+  return changes;
+}
+
+// First product per id, as the server's lookups keep it
+function indexById(products) {
+  const byId = new Map();
+  products.forEach(product => {
+    if (!byId.has(product.id)) byId.set(product.id, product);
+  });
+  return byId;
+}
+
+const summarize = product => ({ id: product.id, name: product.name, category: product.category });
+
+/**
+ * Compare two catalogs
+ * @param {Array} fromProducts - Raw products of the older catalog
+ * @param {Array} toProducts - Raw products of the newer catalog
+ * @returns {{summary: Object, added: Array, removed: Array, changed: Array}}
+ */
+function diffCatalogs(fromProducts, toProducts) {
+  const from = indexById(fromProducts);
+  const to = indexById(toProducts);
+
+  const added = [...to.values()].filter(product => !from.has(product.id)).map(summarize);
+  const removed = [...from.values()].filter(product => !to.has(product.id)).map(summarize);
+  const changed = [...to.values()]
+    .filter(product => from.has(product.id))
+    .map(product => ({ ...summarize(product), changes: diffProduct(from.get(product.id), product) }))
+    .filter(product => product.changes.length > 0);
+
+  return {
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged: to.size - added.length - changed.length
+    },
+    added,
+    removed,
+    changed
+  };
+}
+
+// Values as the text report shows them: strings as-is, anything else as JSON
+function formatValue(value) {
+  if (value === null || value === undefined) return '(none)';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Human-readable report of a diff
+ * @param {Object} diff - Result of diffCatalogs()
+ * @param {Object} labels - { from, to } descriptions of the two catalogs
+ * @returns {string}
+ */
+function formatDiff(diff, labels) {
+  const { summary } = diff;
+  const lines = [
+    `Catalog diff: ${labels.from} → ${labels.to}`,
+    `${summary.added} added, ${summary.removed} removed, ${summary.changed} changed, ${summary.unchanged} unchanged`
+  ];
+
+  if (diff.added.length > 0) {
+    lines.push('', 'Added:', ...diff.added.map(product => `  + ${product.id}  ${product.name}`));
+  }
+  if (diff.removed.length > 0) {
+    lines.push('', 'Removed:', ...diff.removed.map(product => `  - ${product.id}  ${product.name}`));
+  }
+  if (diff.changed.length > 0) {
+    lines.push('', 'Changed:');
+    diff.changed.forEach(product => {
+      lines.push(`  ~ ${product.id}  ${product.name}`);
+      product.changes.forEach(change => {
+        lines.push(`      ${change.field}: ${formatValue(change.from)} → ${formatValue(change.to)}`);
+      });
+    });
+  }
+  return lines.join('\n');
+}
+
+function readCatalog(file) {
+  try {
+    return parseCatalog(fs.readFileSync(file, 'utf8'), fs.statSync(file).mtime);
+  } catch (error) {
+    throw new Error(`Cannot read catalog ${file}: ${error.message}`);
+  }
+}
+
+// CLI: node catalog-diff.js <from.json> <to.json> [--json]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const files = args.filter(arg => arg !== '--json');
+
+  if (files.length !== 2) {
+    console.error('Usage: node catalog-diff.js <from.json> <to.json> [--json]');
+    process.exit(2);
+  }
+
+  try {
+    const [from, to] = files.map(readCatalog);
+    const diff = diffCatalogs(from.products, to.products);
+    if (json) {
+      const side = (file, catalog) => ({ file, scrapedAt: catalog.metadata.scrapedAt || null });
+      console.log(JSON.stringify({ from: side(files[0], from), to: side(files[1], to), ...diff }, null, 2));
+    } else {
+      const label = (file, catalog) => `${file} (${catalog.metadata.scrapedAt || 'unknown'})`;
+      console.log(formatDiff(diff, { from: label(files[0], from), to: label(files[1], to) }));
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { diffCatalogs, diffProduct, formatDiff };
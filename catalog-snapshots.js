@@ -0,0 +1,141 @@
+/**
+ * Versioned catalog snapshots for the Norko GraphQL API
+ *
+ * Every loaded dataset is kept on disk, keyed by its metadata.scrapedAt, so
+ * changes between scrapes can be looked up later. The store holds:
+ * - One JSON file per snapshot with the full raw products
+ * - index.json, with each snapshot's details and a small per-product summary
+ *   (price, stock...), so history queries never have to open the snapshots
+ *
+ * A dataset whose products match the newest snapshot is not stored again.
+ * Old snapshots are pruned by count and by age; the newest is always kept.
+ *
+ * @author Norko Development Team
+ * @since 2025-07-06
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeJsonFile } = require('./json-file');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Snapshot ids are ISO timestamps; colons are not allowed in Windows file names
+function snapshotFileName(id) {
+  return `${String(id).replace(/[^0-9A-Za-z.-]/g, '-')}.json`;
+}
+
+/**
+ * Open (or create) a snapshot store
+ * @param {Object} options
+ * @param {string} options.directory - Where snapshots are kept
+ * @param {number} [options.maxSnapshots=30] - Snapshots to keep at most
+ * @param {number} [options.maxAgeDays=365] - Drop snapshots scraped longer ago than this
+ * @returns {Object} Store with list(), load(), save() and prune()
+ */
+function createSnapshotStore({ directory, maxSnapshots = 30, maxAgeDays = 365 }) {
+  const indexFile = path.join(directory, 'index.json');
+
+  const readIndex = () => {
+    try {
+      return JSON.parse(fs.readFileSync(indexFile, 'utf8')).snapshots || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Snapshot index ${indexFile} is unreadable: ${error.message}`);
+    }
+  };
+
+  let snapshots = null;
+  const entries = () => {
+    if (!snapshots) snapshots = readIndex();
+    return snapshots;
+  };
+
+  const writeIndex = next => {
+    fs.mkdirSync(directory, { recursive: true });
+    writeJsonFile(indexFile, { snapshots: next });
+    snapshots = next;
+  };
+
+  /**
+   * Remove snapshots beyond the retention limits
+   * @param {Date} [now] - Current time
+   * @returns {string[]} Ids of the removed snapshots
+   */
+  const prune = (now = new Date()) => {
+    const oldestAllowed = now.getTime() - maxAgeDays * DAY_MS;
+    const newestFirst = [...entries()].reverse();
+    const kept = newestFirst.filter((entry, index) =>
+      index === 0 || (index < maxSnapshots && Date.parse(entry.scrapedAt) >= oldestAllowed)
+    );
+    const removed = newestFirst.filter(entry => !kept.includes(entry));
+    if (removed.length === 0) return [];
+
+    writeIndex(kept.reverse());
+    removed.forEach(entry => fs.rmSync(path.join(directory, entry.file), { force: true }));
+    return removed.map(entry => entry.id);
+  };
+
+  return {
+    /**
+     * Snapshot details, oldest first
+     * @returns {Array<{id, scrapedAt, takenAt, source, productCount, hash, products}>}
+     */
+    list: () => [...entries()],
+
+    /**
+     * Read a snapshot with its raw products
+     * @param {string} id - Snapshot id (its scrapedAt)
+     * @returns {Object|null} Index entry plus catalog: { products, metadata }
+     */
+    load: id => {
+      const entry = entries().find(snapshot => snapshot.id === id);
+      if (!entry) return null;
+      const catalog = JSON.parse(fs.readFileSync(path.join(directory, entry.file), 'utf8'));
+      return { ...entry, catalog };
+    },
+
+    /**
+     * Store a dataset, replacing any snapshot with the same scrapedAt, then prune
+     * @param {Object} snapshot
+     * @param {Array} snapshot.products - Raw products
+     * @param {Object} snapshot.metadata - Dataset metadata; scrapedAt is the snapshot id
+     * @param {Object} snapshot.summaries - Per-product values for history, keyed by product id
+     * @returns {Object|null} The index entry, or null when the products match the newest snapshot
+     */
+    save: ({ products, metadata, summaries }) => {
+      const id = metadata.scrapedAt;
+      if (!id || Number.isNaN(Date.parse(id))) {
+        throw new Error(`Cannot snapshot a catalog without a valid scrapedAt (got ${id})`);
+      }
+      const hash = crypto.createHash('sha256').update(JSON.stringify(products)).digest('hex');
+      if (entries().length > 0 && entries()[entries().length - 1].hash === hash) return null;
+
+      const entry = {
+        id,
+        scrapedAt: id,
+        takenAt: new Date().toISOString(),
+        source: metadata.source || 'unknown',
+        productCount: products.length,
+        file: snapshotFileName(id),
+        hash,
+        products: summaries
+      };
+
+      fs.mkdirSync(directory, { recursive: true });
+      writeJsonFile(path.join(directory, entry.file), { metadata, products });
+      const next = entries()
+        .filter(snapshot => snapshot.id !== id)
+        .concat(entry)
+        .sort((a, b) => Date.parse(a.scrapedAt) - Date.parse(b.scrapedAt));
+      writeIndex(next);
+      prune();
+      return entry;
+    },
+
+    prune
+  };
+}
+
+module.exports = { createSnapshotStore };
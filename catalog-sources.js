@@ -0,0 +1,328 @@
+/**
+ * Catalog data sources for the Norko GraphQL API
+ *
+ * Every source has the same async interface, so the server never needs to
+ * know where products are kept:
+ * - list()               All raw products, in catalog order
+ * - get(id)              One raw product, or null
+ * - query(criteria)      Products whose top-level fields equal every value in criteria
+ * - metadata()           Scrape metadata (scrapedAt, source, categories...)
+ * - write(id, edit)      Apply an edit (see product-edits.js), or delete the
+ *                        product when edit is null
+ * - watch(onChange)      Optional: call onChange when the data changes outside
+ *                        the API; returns a function that stops watching
+ *
+ * Adapters:
+ * - JSON file: the scraper's crystallize-products.json, with edits kept in a
+ *   separate file and applied to each fresh scrape
+ * - In-memory fixture: for tests and the built-in sample data
+ * - Embedded database: an on-disk NeDB datastore, seeded from another source
+ *   on first start
+ *
+ * @author Norko Development Team
+ * @since 2025-07-06
+ */
+
+const fs = require('fs');
+const Datastore = require('@seald-io/nedb');
+const { writeJsonFile } = require('./json-file');
+const { applyProductEdit, mergeProductEdits } = require('./product-edits');
+
+function matchesCriteria(product, criteria) {
+  return Object.entries(criteria).every(([field, value]) => product[field] === value);
+}
+
+/**
+ * Parse scraper output in either format
+ * @param {string} rawData - File contents
+ * @param {Date} [modifiedAt] - When the file was written; the legacy format has no
+ *   scrapedAt of its own, so this stands in for it
+ * @returns {{products: Array, metadata: Object}}
+ */
+function parseCatalog(rawData, modifiedAt) {
+  const parsedData = JSON.parse(rawData);
+
+  // New enhanced format from scraper
+  if (parsedData.products && parsedData.metadata) {
+    return { products: parsedData.products, metadata: parsedData.metadata };
+  }
+  // Legacy format - array of products
+  if (Array.isArray(parsedData)) {
+    return {
+      products: parsedData,
+      metadata: {
+        scrapedAt: modifiedAt ? modifiedAt.toISOString() : null,
+        totalProducts: parsedData.length,
+        source: 'legacy_data'
+      }
+    };
+  }
+  throw new Error('Invalid data format: expected { products, metadata } or an array of products');
+}
+
+/**
+ * Read the first catalog file that exists
+ * @param {string[]} paths - Candidate files, in order of preference
+ * @returns {{products: Array, metadata: Object, path: string}}
+ */
+function readCatalogFile(paths) {
+  for (const file of paths) {
+    let rawData;
+    try {
+      rawData = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+    return { ...parseCatalog(rawData, fs.statSync(file).mtime), path: file };
+  }
+  throw new Error(`No product data found (looked in ${paths.join(', ')})`);
+}
+
+/**
+ * Source backed by the scraper's JSON output
+ * Edits are kept in editsFile and applied to the scraped data on every read:
+ * - overrides: field-level edits per product id, so the scraper keeps
+ *   updating everything an admin did not change
+ * - products: whole products, for those created through the API
+ * - deleted: ids dropped from the scraped data
+ * @param {Object} options
+ * @param {string[]} options.paths - Catalog files to try, in order
+ * @param {string} options.editsFile - Where writes are kept
+ * @returns {Object} Data source
+ */
+function createJsonFileSource({ paths, editsFile }) {
+  const readEdits = () => {
+    try {
+      const store = JSON.parse(fs.readFileSync(editsFile, 'utf8'));
+      return {
+        updatedAt: store.updatedAt || null,
+        overrides: store.overrides || {},
+        products: store.products || {},
+        deleted: store.deleted || []
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { updatedAt: null, overrides: {}, products: {}, deleted: [] };
+      throw new Error(`Product edits in ${editsFile} are unreadable: ${error.message}`);
+    }
+  };
+
+  // Files change rarely but every query reads them, so the parsed and merged catalog is kept
+  // until a write, a watched change or a different modification time or size on disk
+  let cache = null;
+  const fileStamp = file => {
+    try {
+      const stats = fs.statSync(file, { bigint: true });
+      return `${stats.mtimeNs}:${stats.size}`;
+    } catch (error) {
+      if (error.code === 'ENOENT') return 'missing';
+      throw error;
+    }
+  };
+
+  const load = () => {
+    const stamp = [...paths, editsFile].map(fileStamp).join('|');
+    if (cache?.stamp === stamp) return cache;
+
+    const catalog = readCatalogFile(paths);
+    const edits = readEdits();
+    const deleted = new Set(edits.deleted);
+    const merged = catalog.products
+      .filter(product => !deleted.has(product.id))
+      .map(product => {
+        if (edits.products[product.id]) return edits.products[product.id];
+        return edits.overrides[product.id] ? applyProductEdit(product, edits.overrides[product.id]) : product;
+      });
+    const existing = new Set(merged.map(product => product.id));
+    Object.values(edits.products)
+      .filter(product => !existing.has(product.id))
+      .forEach(product => merged.push(product));
+
+    cache = { stamp, catalog, products: merged };
+    return cache;
+  };
+
+  const list = async () => [...load().products];
+
+  return {
+    name: 'json',
+    list,
+    get: async id => (await list()).find(product => product.id === id) || null,
+    query: async criteria => (await list()).filter(product => matchesCriteria(product, criteria)),
+    metadata: async () => {
+      const { metadata, path } = load().catalog;
+      return { ...metadata, file: path };
+    },
+    write: async (id, edit) => {
+      const edits = readEdits();
+      const overrides = { ...edits.overrides };
+      const products = { ...edits.products };
+      const deleted = edits.deleted.filter(deletedId => deletedId !== id);
+      if (!edit) {
+        delete overrides[id];
+        delete products[id];
+        deleted.push(id);
+      } else if (edit.product) {
+        delete overrides[id];
+        products[id] = edit.product;
+      } else if (products[id]) {
+        // Created products have no scraped version to follow, so they stay whole
+        products[id] = applyProductEdit(products[id], edit);
+      } else {
+        overrides[id] = mergeProductEdits(overrides[id], edit);
+      }
+      writeJsonFile(editsFile, { updatedAt: new Date().toISOString(), overrides, products, deleted });
+      cache = null;
+    },
+    // Polled rather than fs.watch, which loses track of a file the scraper replaces or has not created yet
+    watch: (onChange, interval = 2000) => {
+      const listener = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+        cache = null;
+        onChange();
+      };
+      paths.forEach(file => fs.watchFile(file, { interval, persistent: false }, listener));
+      return () => paths.forEach(file => fs.unwatchFile(file, listener));
+    }
+  };
+}
+
+/**
+ * Source holding products in memory; writes last until the process exits
+ * @param {Array} products - Raw products, copied so the caller's fixture is never modified
+ * @param {Object} [metadata] - Scrape metadata; scrapedAt defaults to when the source was created
+ * @returns {Object} Data source
+ */
+function createMemorySource(products, metadata = {}) {
+  let catalog = JSON.parse(JSON.stringify(products));
+  const catalogMetadata = { scrapedAt: new Date().toISOString(), source: 'memory', ...metadata };
+
+  return {
+    name: 'memory',
+    list: async () => [...catalog],
+    get: async id => catalog.find(product => product.id === id) || null,
+    query: async criteria => catalog.filter(product => matchesCriteria(product, criteria)),
+    metadata: async () => ({
+      ...catalogMetadata,
+      totalProducts: catalog.length
+    }),
+    write: async (id, edit) => {
+      const index = catalog.findIndex(existing => existing.id === id);
+      if (!edit) {
+        catalog = catalog.filter(existing => existing.id !== id);
+      } else if (index === -1) {
+        catalog = [...catalog, applyProductEdit(null, edit)];
+      } else {
+        catalog = catalog.map((existing, i) => (i === index ? applyProductEdit(existing, edit) : existing));
+      }
+    }
+  };
+}
+
+// NeDB rejects keys containing "." or starting with "$", which scraped spec names may have,
+// so products are stored as JSON text next to their top-level scalar fields for querying
+function toDocument(product, position) {
+  const fields = {};
+  Object.entries(product).forEach(([key, value]) => {
+    if (value === null || typeof value !== 'object') fields[key] = value;
+  });
+  return { _id: `product:${product.id}`, type: 'product', position, fields, json: JSON.stringify(product) };
+}
+
+/**
+ * Source backed by an embedded on-disk NeDB datastore
+ * Each product is one document keyed by its id, with a position that keeps
+ * catalog order; metadata is a single document of its own. When the
+ * datastore is empty it is filled from the seed source, so switching an
+ * existing deployment over keeps its catalog.
+ * @param {Object} options
+ * @param {string} options.file - Datastore file
+ * @param {Object} [options.seed] - Source to import from on first start
+ * @returns {Object} Data source
+ */
+function createDatabaseSource({ file, seed }) {
+  const db = new Datastore({ filename: file });
+  let ready = null;
+
+  const open = () => {
+    if (!ready) {
+      ready = (async () => {
+        await db.loadDatabaseAsync();
+        if (seed && await db.countAsync({}) === 0) {
+          // The scraper can emit the same id twice; keep the first, as lookups do
+          const seen = new Set();
+          const products = (await seed.list()).filter(product => {
+            if (seen.has(product.id)) return false;
+            seen.add(product.id);
+            return true;
+          });
+          await db.insertAsync([
+            { _id: 'metadata', type: 'metadata', json: JSON.stringify(await seed.metadata()) },
+            ...products.map((product, position) => toDocument(product, position))
+          ]);
+          await db.compactDatafileAsync();
+        }
+      })().catch(error => {
+        ready = null;
+        throw error;
+      });
+    }
+    return ready;
+  };
+
+  const findProducts = async criteria => {
+    await open();
+    const query = { type: 'product' };
+    Object.entries(criteria).forEach(([field, value]) => {
+      query[`fields.${field}`] = value;
+    });
+    const documents = await db.findAsync(query).sort({ position: 1 });
+    return documents.map(document => JSON.parse(document.json));
+  };
+
+  return {
+    name: 'database',
+    list: () => findProducts({}),
+    get: async id => {
+      await open();
+      const document = await db.findOneAsync({ _id: `product:${id}` });
+      return document ? JSON.parse(document.json) : null;
+    },
+    query: criteria => findProducts(criteria),
+    metadata: async () => {
+      await open();
+      const document = await db.findOneAsync({ _id: 'metadata' });
+      const metadata = document ? JSON.parse(document.json) : {};
+      return {
+        ...metadata,
+        source: metadata.source || 'database',
+        file,
+        totalProducts: await db.countAsync({ type: 'product' })
+      };
+    },
+    write: async (id, edit) => {
+      await open();
+      const _id = `product:${id}`;
+      if (!edit) {
+        await db.removeAsync({ _id }, {});
+        return;
+      }
+      const existing = await db.findOneAsync({ _id });
+      if (existing) {
+        const product = applyProductEdit(JSON.parse(existing.json), edit);
+        await db.updateAsync({ _id }, toDocument(product, existing.position), {});
+      } else {
+        const product = applyProductEdit(null, edit);
+        const [last] = await db.findAsync({ type: 'product' }).sort({ position: -1 }).limit(1);
+        await db.insertAsync(toDocument(product, last ? last.position + 1 : 0));
+      }
+    }
+  };
+}
+
+module.exports = {
+  createJsonFileSource,
+  createMemorySource,
+  createDatabaseSource,
+  parseCatalog
+};
@@ -0,0 +1,22 @@
+/**
+ * JSON file helpers shared by the server and its on-disk stores
+ *
+ * @author Norko Development Team
+ * @since 2025-07-06
+ */
+
+const fs = require('fs');
+
+/**
+ * Write data as pretty-printed JSON
+ * Written to a temporary file first so a crash never leaves a half-written file.
+ * @param {string} file - Destination path
+ * @param {*} data - JSON-serialisable data
+ */
+function writeJsonFile(file, data) {
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(tempFile, file);
+}
+
+module.exports = { writeJsonFile };
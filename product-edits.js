@@ -0,0 +1,240 @@
+/**
+ * Admin product edits for the Norko GraphQL API
+ *
+ * Mutations describe what an admin changed rather than saving whole products,
+ * so an edited product keeps following the scraper for everything else
+ * (stock, the prices of other variants...). An edit is one of:
+ * - { product }                        A whole product, for products created through the API
+ * - { fields, variants, defaultSku }   Changes to an existing product:
+ *     fields      UpdateProductInput values to set
+ *     variants    ProductVariantInput per SKU to add or change, or null to remove it
+ *     defaultSku  SKU of the variant to list first (it sets the product price)
+ *
+ * Changes are applied in the scraper's own layout, to whatever copies of a
+ * field the product has, so the edit wins whichever one the getters read.
+ *
+ * @author Norko Development Team
+ * @since 2025-07-06
+ */
+
+const { getVariantCurrency } = require('./product-fields');
+
+// Availability enum values written back as the scraped text getProductAvailability recognises
+const AVAILABILITY_LABELS = {
+  IN_STOCK: 'In stock',
+  OUT_OF_STOCK: 'Out of stock',
+  BACKORDER: 'Backorder',
+  PREORDER: 'Pre-order',
+  DISCONTINUED: 'Discontinued',
+  UNKNOWN: ''
+};
+
+// SpecificationsInput fields and their scraped spec keys
+const SPEC_INPUT_KEYS = {
+  wattage: 'wattage',
+  dimensions: 'dimensions',
+  weight: 'weight',
+  coverage: 'coverage',
+  mounting: 'mounting',
+  efficiency: 'efficiency',
+  voltage: 'voltage',
+  heatingType: 'heating_type',
+  controlType: 'control_type',
+  ipRating: 'ip_rating'
+};
+
+// SpecificationsInput fields the technical specs also hold, with their key and scraped text form
+const TECHNICAL_SPEC_KEYS = {
+  wattage: ['wattage', value => `${value} W`],
+  weight: ['weight', value => `${value} kg`],
+  dimensions: ['dimensions', String],
+  voltage: ['voltage', String],
+  ipRating: ['ip_rating', String],
+  coverage: ['heats_up_to', String]
+};
+
+function normalizeSku(sku) {
+  return String(sku || '').trim().toUpperCase();
+}
+
+function richText(html) {
+  return { type: 'richText', content: { html, plainText: html.replace(/<[^>]*>/g, '') } };
+}
+
+// Copy of an object without its null and undefined values
+function withoutNulls(values = {}) {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value != null));
+}
+
+/**
+ * Write create/update input into a raw product, in the scraper's own layout
+ * Scraped products carry most fields twice (e.g. information.description and
+ * components.description); both copies are updated so the edit wins whichever
+ * one the getters read.
+ * @param {Object} product - Raw product, modified in place
+ * @param {Object} input - CreateProductInput or UpdateProductInput
+ * @returns {Object} The product
+ */
+function applyProductInput(product, input) {
+  const isSet = field => input[field] != null;
+  const components = product.components || {};
+  product.information = product.information || {};
+
+  ['name', 'path', 'category', 'topics', 'sourceUrl'].filter(isSet).forEach(field => {
+    product[field] = input[field];
+  });
+  ['manufacturer', 'model'].filter(isSet).forEach(field => {
+    product.information[field] = input[field];
+  });
+  ['description', 'features'].filter(isSet).forEach(field => {
+    product.information[field] = input[field];
+    if (components[field]) components[field] = richText(input[field]);
+  });
+  if (isSet('warranty')) {
+    product.information.warranty = input.warranty;
+    if (components.warranty) components.warranty = { ...components.warranty, text: input.warranty };
+  }
+  if (isSet('availability')) {
+    product.information.availability = AVAILABILITY_LABELS[input.availability];
+  }
+
+  if (isSet('specifications')) {
+    const specs = withoutNulls(input.specifications);
+    product.specifications = product.specifications || {};
+    const basic = { ...product.specifications.basic };
+    const technical = { ...product.specifications.technical };
+    const chunk = components.specifications?.chunks?.[0];
+    const technicalChunk = components.technicalSpecs?.chunks?.[0];
+    Object.entries(SPEC_INPUT_KEYS)
+      .filter(([field]) => field in specs)
+      .forEach(([field, key]) => {
+        basic[key] = specs[field];
+        if (chunk) chunk[key] = specs[field];
+      });
+    Object.entries(TECHNICAL_SPEC_KEYS)
+      .filter(([field]) => field in specs)
+      .forEach(([field, [key, format]]) => {
+        technical[key] = format(specs[field]);
+        if (technicalChunk) technicalChunk[key] = technical[key];
+      });
+    product.specifications.basic = basic;
+    product.specifications.technical = technical;
+  }
+
+  if (isSet('images')) {
+    const images = input.images.map(({ url, altText }) => ({ url, altText: altText || `${product.name} product image` }));
+    product.media = { ...product.media, images };
+    if (components.productImages) components.productImages = { ...components.productImages, images };
+  }
+  if (isSet('seo')) {
+    product.seo = { ...product.seo, ...withoutNulls(input.seo) };
+  }
+  if (isSet('vatIncluded')) {
+    product.pricing = { ...product.pricing, vatIncluded: input.vatIncluded };
+  }
+
+  return product;
+}
+
+// Raw scraped-format variant from a ProductVariantInput, keeping unlisted fields of the one it replaces
+function buildRawVariant(input, existing = {}) {
+  const currency = input.currency || getVariantCurrency(existing);
+  const variant = {
+    ...existing,
+    name: input.name,
+    sku: input.sku,
+    price: input.price,
+    priceVariants: [{ identifier: 'default', price: input.price, currency }],
+    attributes: input.attributes || existing.attributes || []
+  };
+  if (input.stock != null) variant.stock = input.stock;
+  if (input.isDefault != null) variant.isDefault = input.isDefault;
+  return variant;
+}
+
+// Recompute the pricing block after variants change; the scraped one would be stale
+function syncProductPricing(product) {
+  if (product.variants.length === 0) return;
+  const prices = product.variants.map(variant => variant.price);
+  const basePrice = product.variants[0].price;
+  product.pricing = {
+    ...product.pricing,
+    basePrice,
+    currency: getVariantCurrency(product.variants[0]),
+    priceRange: { min: Math.min(...prices), max: Math.max(...prices), base: basePrice }
+  };
+}
+
+// The default variant leads the list, since the product price is read from the first one
+function moveDefaultVariantFirst(product, defaultSku) {
+  const position = product.variants.findIndex(variant => normalizeSku(variant.sku) === defaultSku);
+  if (position === -1) return;
+  const [defaultVariant] = product.variants.splice(position, 1);
+  product.variants.forEach(variant => { variant.isDefault = false; });
+  product.variants.unshift({ ...defaultVariant, isDefault: true });
+}
+
+/**
+ * Apply an edit to a product
+ * @param {Object} product - Raw product; left unchanged
+ * @param {Object} edit - { product } or { fields, variants, defaultSku }
+ * @returns {Object} The edited raw product
+ */
+function applyProductEdit(product, edit) {
+  if (edit.product) return JSON.parse(JSON.stringify(edit.product));
+  if (!product) throw new Error('A product that does not exist yet can only be written whole');
+  const edited = applyProductInput(JSON.parse(JSON.stringify(product)), edit.fields || {});
+  if (Object.keys(edit.variants || {}).length === 0 && !edit.defaultSku) return edited;
+
+  Object.entries(edit.variants || {}).forEach(([sku, input]) => {
+    const index = edited.variants.findIndex(variant => normalizeSku(variant.sku) === sku);
+    if (input === null) {
+      if (index !== -1) edited.variants.splice(index, 1);
+    } else if (index === -1) {
+      edited.variants.push(buildRawVariant(input));
+    } else {
+      edited.variants[index] = buildRawVariant(input, edited.variants[index]);
+    }
+  });
+
+  moveDefaultVariantFirst(edited, edit.defaultSku);
+  syncProductPricing(edited);
+  return edited;
+}
+
+/**
+ * Combine two field-level edits of the same product into one
+ * @param {Object} [previous] - Earlier edit
+ * @param {Object} next - Later edit; its values win
+ * @returns {Object} Edit with the changes of both
+ */
+function mergeProductEdits(previous = {}, next) {
+  const fields = { ...previous.fields, ...withoutNulls(next.fields) };
+  ['specifications', 'seo'].forEach(group => {
+    if (previous.fields?.[group] || next.fields?.[group]) {
+      fields[group] = { ...withoutNulls(previous.fields?.[group]), ...withoutNulls(next.fields?.[group]) };
+    }
+  });
+
+  const variants = { ...previous.variants };
+  Object.entries(next.variants || {}).forEach(([sku, input]) => {
+    variants[sku] = input === null || !variants[sku] ? input : { ...variants[sku], ...withoutNulls(input) };
+  });
+
+  return {
+    fields,
+    variants,
+    defaultSku: next.defaultSku || previous.defaultSku || null
+  };
+}
+
+module.exports = {
+  applyProductInput,
+  applyProductEdit,
+  buildRawVariant,
+  mergeProductEdits,
+  moveDefaultVariantFirst,
+  normalizeSku,
+  syncProductPricing,
+  withoutNulls
+};
@@ -0,0 +1,156 @@
+/**
+ * Raw product field getters for the Norko GraphQL API
+ *
+ * Scraped products carry most fields twice: in their Crystallize components
+ * and in the scraper's own blocks (specifications, media...). These getters
+ * settle which copy wins, so the server, catalog diffs and admin edits all
+ * read a product the same way. Also parses the scraped measurement strings
+ * ("1150 W", "12-15m²", "1200 x 800 x 25 mm", "IP54").
+ *
+ * @author Norko Development Team
+ * @since 2025-07-06
+ */
+
+function getProductSpecs(product) {
+  return product.components?.specifications?.chunks?.[0] || product.specifications?.basic || {};
+}
+
+function getProductTechnicalSpecs(product) {
+  return product.components?.technicalSpecs?.chunks?.[0] || product.specifications?.technical || {};
+}
+
+function getProductImages(product) {
+  return product.components?.productImages?.images || product.media?.images || [];
+}
+
+function getVariantCurrency(variant) {
+  return variant?.priceVariants?.[0]?.currency || variant?.currency || 'GBP';
+}
+
+// Product price and currency are the first (default) variant's
+function getProductPrice(product) {
+  return product.variants?.[0]?.price || 0;
+}
+
+function getProductCurrency(product) {
+  return getVariantCurrency(product.variants?.[0]);
+}
+
+// Technical chunk first, as buildTechnicalSpecs does: the numeric spec chunk often holds scraper noise (4, 29...)
+function getProductWattage(product) {
+  const wattage = parseMeasurement(getProductTechnicalSpecs(product).wattage, 'W')
+    || parseMeasurement(getProductSpecs(product).wattage, 'W');
+  return wattage ? Math.round(wattage.value) : 0;
+}
+
+// Specification unit parsing
+// Conversion factors into the canonical unit for each kind of measurement
+const UNIT_FACTORS = {
+  W: { w: 1, watt: 1, watts: 1, kw: 1000 },
+  mm: { mm: 1, cm: 10, m: 1000 },
+  kg: { kg: 1, kgs: 1, g: 0.001 },
+  V: { v: 1, volt: 1, volts: 1 },
+  'm²': { 'm²': 1, m2: 1, sqm: 1, 'sq m': 1 }
+};
+
+// "2,000" (comma before exactly three digits) is a thousands separator; "1,5" is a decimal comma
+const NUMBER_PATTERN = '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?(?!\\d)|\\d+(?:[.,]\\d+)?)';
+
+function toNumber(text) {
+  return /^\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)
+    ? parseFloat(text.replace(/,/g, ''))
+    : parseFloat(text.replace(',', '.'));
+}
+
+// Factor for a scraped unit label, or null when it does not belong to the canonical unit
+function unitFactor(label, unit) {
+  if (!label) return 1;
+  return UNIT_FACTORS[unit][label.trim().toLowerCase()] ?? null;
+}
+
+/**
+ * Parse a scraped value such as "1150 W" or "1.95kW" into a canonical unit
+ * Plain numbers are assumed to already be in that unit.
+ * @param {string|number} raw - Scraped value
+ * @param {string} unit - Canonical unit key of UNIT_FACTORS
+ * @returns {{value: number, unit: string, raw: string}|null}
+ */
+function parseMeasurement(raw, unit) {
+  if (raw == null || raw === '') return null;
+  if (typeof raw === 'number') {
+    return Number.isFinite(raw) ? { value: raw, unit, raw: String(raw) } : null;
+  }
+
+  const match = String(raw).match(new RegExp(`${NUMBER_PATTERN}\\s*([a-z²]+2?)?`, 'i'));
+  const factor = match && unitFactor(match[2], unit);
+  if (factor == null) return null;
+  return { value: toNumber(match[1]) * factor, unit, raw: String(raw) };
+}
+
+/**
+ * Parse a range such as "12-15m²", "230-240V" or "250W - 1200W"; a single value gives min === max
+ * @param {string|number} raw - Scraped value
+ * @param {string} unit - Canonical unit key of UNIT_FACTORS
+ * @returns {{min: number, max: number, unit: string, raw: string}|null}
+ */
+function parseRange(raw, unit) {
+  if (raw == null || raw === '') return null;
+  const match = String(raw).match(
+    new RegExp(`${NUMBER_PATTERN}\\s*([a-z²]+2?)?\\s*(?:(?:-|–|to)\\s*${NUMBER_PATTERN})?\\s*([a-z²]+2?)?`, 'i')
+  );
+  const maxFactor = match && unitFactor(match[4] || match[2], unit);
+  const minFactor = match && unitFactor(match[2] || match[4], unit);
+  if (minFactor == null || maxFactor == null) return null;
+  const min = toNumber(match[1]) * minFactor;
+  const max = match[3] ? toNumber(match[3]) * maxFactor : min;
+  return { min, max, unit, raw: String(raw) };
+}
+
+/**
+ * Parse dimensions such as "1200 x 800 x 25 mm" or "192mm x 192mm x 8mm" into millimetres
+ * Values are reported in the order they were listed.
+ * @param {string} raw - Scraped dimensions
+ * @returns {{width: number, height: number, depth: number|null, unit: string, raw: string}|null}
+ */
+function parseDimensions(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+  const trailingUnit = raw.match(/([a-z]+)\s*$/i)?.[1];
+  const values = raw.split(/\s*[x×]\s*/i).map(part => {
+    const match = part.match(new RegExp(`${NUMBER_PATTERN}\\s*([a-z]+)?`, 'i'));
+    const factor = match && unitFactor(match[2] || trailingUnit, 'mm');
+    return factor == null ? null : toNumber(match[1]) * factor;
+  });
+  if (values.length < 2 || values.some(value => value == null)) return null;
+  return { width: values[0], height: values[1], depth: values[2] ?? null, unit: 'mm', raw };
+}
+
+/**
+ * Parse an ingress protection code such as "IP54" or "IPX4"
+ * @param {string} raw - Scraped rating
+ * @returns {{code: string, solids: number|null, liquids: number|null, raw: string}|null}
+ */
+function parseIpRating(raw) {
+  const match = String(raw || '').toUpperCase().match(/IP\s*([0-6X])([0-9X])?/);
+  if (!match) return null;
+  const digit = value => (value && value !== 'X' ? parseInt(value, 10) : null);
+  return {
+    code: `IP${match[1]}${match[2] || ''}`,
+    solids: digit(match[1]),
+    liquids: digit(match[2]),
+    raw: String(raw)
+  };
+}
+
+module.exports = {
+  getProductCurrency,
+  getProductImages,
+  getProductPrice,
+  getProductSpecs,
+  getProductTechnicalSpecs,
+  getProductWattage,
+  getVariantCurrency,
+  parseDimensions,
+  parseIpRating,
+  parseMeasurement,
+  parseRange
+};
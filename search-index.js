@@ -0,0 +1,288 @@
+/**
+ * In-process full-text search index for the Norko GraphQL API
+ *
+ * Features:
+ * - Inverted index with per-field boosts and BM25-style term saturation
+ * - Light suffix stemming ("heaters" / "heating" -> "heat")
+ * - Typo-tolerant fuzzy matching against the indexed vocabulary
+ * - Multi-word AND / OR semantics
+ * - Highlighted snippets for the fields that matched
+ * - Prefix trie for search-as-you-type suggestions
+ *
+ * @author Norko Development Team
+ * @since 2025-07-06
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+const SNIPPET_LENGTH = 160;
+const MAX_SUGGESTIONS_PER_NODE = 20;
+
+/**
+ * Split text into lowercase words, keeping letters and digits together ("1800w")
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Reduce a word to its stem with a small set of English suffix rules
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length <= 3 || /^\d/.test(word)) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (/(ch|sh|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) word = word.slice(0, -1);
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+  if (word.endsWith('er') && word.length > 5) return word.slice(0, -2);
+  return word;
+}
+
+/**
+ * Tokenize and stem text, dropping stop words
+ * @param {string} text - Text to analyse
+ * @returns {string[]} Terms
+ */
+function analyze(text) {
+  return tokenize(text)
+    .filter(word => !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds max
+ * @returns {number} Distance, or max + 1 when it is larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed for a query term of this length
+function allowedTypos(term) {
+  if (term.length < 4 || /^\d/.test(term)) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+/**
+ * Build an inverted index over a list of documents
+ * @param {Object[]} documents - One object per document, mapping field name to text
+ * @param {Object} boosts - Field name to weight; only these fields are indexed
+ * @returns {Object} Index for use with search()
+ */
+function createSearchIndex(documents, boosts) {
+  const postings = new Map();
+
+  documents.forEach((document, docId) => {
+    Object.keys(boosts).forEach(field => {
+      analyze(document[field]).forEach(term => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docs = postings.get(term);
+        if (!docs.has(docId)) docs.set(docId, {});
+        const fields = docs.get(docId);
+        fields[field] = (fields[field] || 0) + 1;
+      });
+    });
+  });
+
+  return { documents, boosts, postings, vocabulary: [...postings.keys()] };
+}
+
+// Indexed terms a query term should match, with a penalty for fuzzy matches
+function expandTerm(index, term, fuzzy) {
+  const expansions = [];
+  if (index.postings.has(term)) {
+    expansions.push({ term, weight: 1 });
+  }
+  const maxTypos = fuzzy ? allowedTypos(term) : 0;
+  if (maxTypos > 0) {
+    index.vocabulary.forEach(candidate => {
+      if (candidate === term) return;
+      const distance = editDistance(term, candidate, maxTypos);
+      if (distance <= maxTypos) {
+        expansions.push({ term: candidate, weight: 1 / (distance + 1) });
+      }
+    });
+  }
+  return expansions;
+}
+
+// Wrap the words of a field that match any of the terms in <mark>, trimmed to a snippet
+function highlight(text, terms) {
+  const source = String(text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  let found = false;
+  const marked = source.replace(/[\p{L}\p{N}]+/gu, word => {
+    const [token] = tokenize(word);
+    if (!token || !terms.has(stem(token))) return word;
+    found = true;
+    return `<mark>${word}</mark>`;
+  });
+  if (!found) return null;
+  if (source.length <= SNIPPET_LENGTH) return marked;
+
+  // Re-locate the first match in the marked string and keep a window around it
+  const markAt = marked.indexOf('<mark>');
+  const start = Math.max(0, markAt - Math.floor(SNIPPET_LENGTH / 3));
+  let end = Math.min(marked.length, start + SNIPPET_LENGTH);
+  // Never cut through a highlighted word or its tags
+  const lastOpen = marked.lastIndexOf('<mark>', end - 1);
+  const lastClose = lastOpen === -1 ? -1 : marked.indexOf('</mark>', lastOpen) + '</mark>'.length;
+  if (lastClose > end) end = lastClose;
+  return `${start > 0 ? '…' : ''}${marked.slice(start, end).trim()}${end < marked.length ? '…' : ''}`;
+}
+
+/**
+ * Search the index
+ * @param {Object} index - Index from createSearchIndex()
+ * @param {string} query - Free-text query
+ * @param {Object} [options]
+ * @param {string} [options.operator='AND'] - 'AND' requires every query term, 'OR' any of them
+ * @param {boolean} [options.fuzzy=true] - Also match terms within a small edit distance
+ * @returns {Array<{docId: number, score: number, highlights: Array}>} Hits, best first
+ */
+function search(index, query, { operator = 'AND', fuzzy = true } = {}) {
+  const queryTerms = [...new Set(analyze(query))];
+  if (queryTerms.length === 0) return [];
+
+  const totalDocs = index.documents.length;
+  const hits = new Map();
+
+  queryTerms.forEach((queryTerm, position) => {
+    expandTerm(index, queryTerm, fuzzy).forEach(({ term, weight }) => {
+      const docs = index.postings.get(term);
+      const idf = Math.log(1 + (totalDocs - docs.size + 0.5) / (docs.size + 0.5));
+
+      docs.forEach((fields, docId) => {
+        const termScore = Object.entries(fields).reduce((sum, [field, frequency]) =>
+          sum + index.boosts[field] * (frequency / (frequency + 1)), 0) * idf * weight;
+
+        if (!hits.has(docId)) hits.set(docId, { docId, score: 0, matched: new Set(), terms: new Set() });
+        const hit = hits.get(docId);
+        hit.score += termScore;
+        hit.matched.add(position);
+        hit.terms.add(term);
+      });
+    });
+  });
+
+  return [...hits.values()]
+    .filter(hit => operator === 'OR' || hit.matched.size === queryTerms.length)
+    .sort((a, b) => b.score - a.score || a.docId - b.docId)
+    .map(({ docId, score, terms }) => ({
+      docId,
+      score: Math.round(score * 1000) / 1000,
+      highlights: Object.keys(index.boosts)
+        .map(field => ({ field, snippet: highlight(index.documents[docId][field], terms) }))
+        .filter(({ snippet }) => snippet)
+    }));
+}
+
+// Lowercase, accent-free text with words separated by single spaces
+function normalizePrefix(text) {
+  return tokenize(text).join(' ');
+}
+
+/**
+ * Build a prefix trie over suggestion entries
+ * Every word of an entry's text is a starting point, so "gla" finds
+ * "Herschel Inspire Glass Panel". Each node keeps its best entries
+ * pre-sorted, making a lookup proportional to the prefix length.
+ * Entries with the same type and normalised text are indexed once (the
+ * highest weight wins), so repeats such as a SKU shared by several products
+ * never crowd distinct suggestions out of a node's best list.
+ * @param {Array<{text: string, weight: number, type?: string}>} suggestions - Suggestions; extra properties are kept
+ * @returns {Object} Trie for use with lookupPrefix()
+ */
+function createPrefixIndex(suggestions) {
+  const root = { children: new Map(), best: [] };
+
+  const byKey = new Map();
+  suggestions.forEach(entry => {
+    const key = `${entry.type || ''}:${normalizePrefix(entry.text)}`;
+    const kept = byKey.get(key);
+    if (!kept || entry.weight > kept.weight) byKey.set(key, entry);
+  });
+  const entries = [...byKey.values()];
+
+  entries.forEach((entry, entryId) => {
+    const words = normalizePrefix(entry.text).split(' ').filter(Boolean);
+    words.forEach((word, position) => {
+      // Matches on the first word rank above matches further into the text
+      const score = entry.weight + (position === 0 ? 0.5 : 0);
+      let node = root;
+      for (const char of words.slice(position).join(' ')) {
+        if (!node.children.has(char)) node.children.set(char, { children: new Map(), best: [] });
+        node = node.children.get(char);
+        const existing = node.best.find(candidate => candidate.entryId === entryId);
+        if (existing) {
+          existing.score = Math.max(existing.score, score);
+        } else {
+          node.best.push({ entryId, score });
+        }
+      }
+    });
+  });
+
+  const prune = node => {
+    node.best.sort((a, b) => b.score - a.score || entries[a.entryId].text.localeCompare(entries[b.entryId].text));
+    node.best = node.best.slice(0, MAX_SUGGESTIONS_PER_NODE);
+    node.children.forEach(prune);
+  };
+  prune(root);
+
+  return { root, entries };
+}
+
+/**
+ * Find the best entries whose text has a word starting with the prefix
+ * @param {Object} index - Trie from createPrefixIndex()
+ * @param {string} prefix - What the user has typed so far
+ * @param {number} [limit=10] - Maximum number of entries
+ * @returns {Object[]} Matching entries, best first
+ */
+function lookupPrefix(index, prefix, limit = 10) {
+  const normalized = normalizePrefix(prefix);
+  if (!normalized) return [];
+
+  let node = index.root;
+  for (const char of normalized) {
+    node = node.children.get(char);
+    if (!node) return [];
+  }
+  return node.best.slice(0, limit).map(({ entryId }) => index.entries[entryId]);
+}
+
+module.exports = {
+  createSearchIndex,
+  search,
+  createPrefixIndex,
+  lookupPrefix,
+  tokenize,
+  stem,
+  analyze
+};
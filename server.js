@@ -32,11 +32,107 @@ const fs = require('fs');
 const path = require('path');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
+const { createSearchIndex, search, createPrefixIndex, lookupPrefix } = require('./search-index');
+const { createJsonFileSource, createMemorySource, createDatabaseSource } = require('./catalog-sources');
+const {
+  applyProductInput, applyProductEdit, buildRawVariant, moveDefaultVariantFirst, normalizeSku, syncProductPricing,
+  withoutNulls
+} = require('./product-edits');
+const {
+  getProductCurrency, getProductImages, getProductPrice, getProductSpecs, getProductTechnicalSpecs, getProductWattage,
+  getVariantCurrency, parseDimensions, parseIpRating, parseMeasurement, parseRange
+} = require('./product-fields');
+const { writeJsonFile } = require('./json-file');
+const { createSnapshotStore } = require('./catalog-snapshots');
+const { diffCatalogs } = require('./catalog-diff');
+const { GraphQLError, GraphQLScalarType, Kind } = require('graphql');
 
 // Authentication configuration
 const JWT_SECRET = process.env.JWT_SECRET;
 const API_KEY = process.env.API_KEY;
 const AUTH_REQUIRED = process.env.AUTH_REQUIRED === 'true';
+// Opt-in: let the unauthenticated development user run admin mutations (never in production)
+const ALLOW_DEV_ADMIN = process.env.ALLOW_DEV_ADMIN === 'true';
+
+/**
+ * Read a numeric setting from the environment
+ * Unset values use the default; unparsable or out-of-range ones are reported and use it too.
+ * @param {string} name - Environment variable
+ * @param {number} defaultValue - Value when unset or invalid
+ * @param {number} [max=Infinity] - Largest allowed value (the smallest is always 0)
+ * @returns {number}
+ */
+function numberFromEnv(name, defaultValue, max = Infinity) {
+  const raw = process.env[name];
+  if (raw == null || raw.trim() === '') return defaultValue;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0 || value > max) {
+    console.log(`⚠️  Ignoring ${name}=${raw} (expected a number from 0 to ${max}), using ${defaultValue}`);
+    return defaultValue;
+  }
+  return value;
+}
+
+// Recommendation scoring weights for Product.similar (relative, any scale)
+const SIMILARITY_WEIGHTS = {
+  category: numberFromEnv('SIMILAR_WEIGHT_CATEGORY', 3),
+  wattage: numberFromEnv('SIMILAR_WEIGHT_WATTAGE', 2),
+  price: numberFromEnv('SIMILAR_WEIGHT_PRICE', 2),
+  features: numberFromEnv('SIMILAR_WEIGHT_FEATURES', 1)
+};
+
+// Default tariff and usage for running cost estimates when clients send no inputs
+const RUNNING_COST_DEFAULTS = {
+  pricePerKwh: numberFromEnv('DEFAULT_PRICE_PER_KWH', 0.245),
+  hoursPerDay: numberFromEnv('DEFAULT_HOURS_PER_DAY', 6, 24),
+  daysPerYear: numberFromEnv('DEFAULT_DAYS_PER_YEAR', 180, 366),
+  dutyCycle: numberFromEnv('DEFAULT_DUTY_CYCLE', 0.5, 1)
+};
+
+// Exchange-rate table used for price conversion, editable through updateExchangeRates
+const EXCHANGE_RATES_FILE = process.env.EXCHANGE_RATES_FILE || path.join(__dirname, 'exchange-rates.json');
+
+// VAT rates per country, with optional per-category overrides
+const VAT_RATES_FILE = process.env.VAT_RATES_FILE || path.join(__dirname, 'vat-rates.json');
+
+// Catalog data source: json (scraper output), database (embedded on-disk store) or memory (sample products)
+const CATALOG_SOURCE = process.env.CATALOG_SOURCE || 'json';
+
+// Scraper output read by the json source (and used to seed the database), in order of preference
+const CATALOG_FILES = process.env.CATALOG_FILE
+  ? [process.env.CATALOG_FILE]
+  : [
+    path.join(__dirname, '../heatshop-scraper/crystallize-products.json'),
+    path.join(__dirname, 'crystallize-products.json')
+  ];
+
+// Admin product edits for the json source, layered over the scraped data so they survive restarts and re-scrapes
+const PRODUCT_EDITS_FILE = process.env.PRODUCT_EDITS_FILE || path.join(__dirname, 'product-edits.json');
+
+// Datastore file for the database source
+const CATALOG_DB_FILE = process.env.CATALOG_DB_FILE || path.join(__dirname, 'catalog.db');
+
+// Reload the catalog when the scraper rewrites its output; the delay lets a write finish first
+const CATALOG_WATCH = process.env.CATALOG_WATCH !== 'false';
+const CATALOG_WATCH_DELAY_MS = numberFromEnv('CATALOG_WATCH_DELAY_MS', 1000);
+
+// Snapshot of every loaded dataset, for price and stock history; oldest pruned past either limit
+const CATALOG_SNAPSHOTS_DIR = process.env.CATALOG_SNAPSHOTS_DIR || path.join(__dirname, 'snapshots');
+const SNAPSHOT_RETENTION_COUNT = numberFromEnv('SNAPSHOT_RETENTION_COUNT', 30);
+const SNAPSHOT_RETENTION_DAYS = numberFromEnv('SNAPSHOT_RETENTION_DAYS', 365);
+
+// Digits after the decimal point for each supported currency
+const CURRENCY_MINOR_UNITS = {
+  GBP: 2,
+  EUR: 2,
+  USD: 2,
+  CHF: 2,
+  SEK: 2,
+  NOK: 2,
+  DKK: 2,
+  PLN: 2,
+  JPY: 0
+};
 
 console.log('🔐 Authentication Config:');
 console.log('- API_KEY:', API_KEY ? '✅ Set' : '❌ Missing');
@@ -44,314 +140,2667 @@ console.log('- JWT_SECRET:', JWT_SECRET ? '✅ Set' : '❌ Missing');
 console.log('- AUTH_REQUIRED:', AUTH_REQUIRED);
 console.log('- NODE_ENV:', process.env.NODE_ENV || 'undefined');
 
-// Enhanced data loading with fallback and validation
-let productsData = [];
-let productsMetadata = {};
+// In-memory snapshot of the catalog data source, refreshed by loadProductData
+// catalogSource is the one being served and edited; it differs from the configured
+// source only while the sample data stands in for a configured source that failed,
+// and then admin edits are refused, since nothing would keep them
+let configuredCatalogSource = null;
+let catalogSource = null;
+let catalogFallback = null;
+let catalogSnapshots = null;
+let productsData = [];
+let productsMetadata = {};
+let lastCatalogReload = null;
+let catalogReloadQueue = Promise.resolve();
+let exchangeRates = { base: 'GBP', updatedAt: new Date(0).toISOString(), rates: { GBP: 1 } };
+let vatRates = { defaultCountry: 'GB', countries: { GB: 0.2 }, categories: {} };
+let searchIndex = createSearchIndex([], {});
+let suggestionIndex = createPrefixIndex([]);
+let productsById = new Map();
+let productsByPath = new Map();
+let variantsBySku = new Map();
+
+/**
+ * Create the data source selected by CATALOG_SOURCE
+ * @returns {Object} Data source (see catalog-sources.js)
+ */
+function createCatalogSource() {
+  const jsonSource = () => createJsonFileSource({ paths: CATALOG_FILES, editsFile: PRODUCT_EDITS_FILE });
+  switch (CATALOG_SOURCE) {
+    case 'json':
+      return jsonSource();
+    case 'database':
+      return createDatabaseSource({ file: CATALOG_DB_FILE, seed: jsonSource() });
+    case 'memory':
+      return createMemorySource(generateSampleProducts(), { source: 'sample_data' });
+    default:
+      throw new Error(`Unknown CATALOG_SOURCE "${CATALOG_SOURCE}" (expected json, database or memory)`);
+  }
+}
+
+/**
+ * Load and validate product data from the catalog data source
+ * Falls back to sample products when the source is unavailable or invalid
+ * (and is not already being served), so the API always has something to serve.
+ * Admin edits are refused while the sample data is served, and /health reports
+ * the API as degraded, until a reload from the configured source succeeds.
+ * @param {Object} [source] - Data source to read from; becomes the one later writes go to
+ * @param {Object} [options]
+ * @param {Object} [options.snapshots] - Snapshot store (see catalog-snapshots.js) every
+ *   loaded catalog is kept in; without one there is no catalog history
+ * @returns {Promise<void>}
+ */
+async function loadProductData(source = configuredCatalogSource || createCatalogSource(), { snapshots = null } = {}) {
+  configuredCatalogSource = source;
+  catalogSnapshots = snapshots;
+  const reload = await reloadCatalog('STARTUP');
+
+  if (reload.status === 'FAILED' && catalogSource !== source) {
+    console.log('🔄 Falling back to sample product data...');
+    const fallback = createMemorySource(generateSampleProducts(), { source: 'sample_data', error: reload.error });
+    await reloadCatalog('STARTUP', fallback);
+    catalogFallback = { source: source.name, error: reload.error, since: reload.at };
+    lastCatalogReload = { ...reload, productCount: productsData.length };
+  }
+}
+
+/**
+ * Re-read the catalog from its data source and swap it in
+ * The new data is read and validated before anything changes; if it fails,
+ * the current catalog keeps being served. Reloads run one at a time.
+ * Once a read succeeds, that source is the one served and edited.
+ * @param {string} trigger - CatalogReloadTrigger value, for reporting
+ * @param {Object} [source] - Source to read; the configured one by default
+ * @returns {Promise<Object>} The CatalogReload outcome
+ */
+function reloadCatalog(trigger, source = configuredCatalogSource) {
+  const reload = catalogReloadQueue.then(async () => {
+    const at = new Date().toISOString();
+    try {
+      const [products, metadata] = await Promise.all([source.list(), source.metadata()]);
+      console.log(`📦 Loading product data from ${source.name} source${metadata.file ? ` (${metadata.file})` : ''}`);
+      validateCatalog(products);
+      swapCatalog(products, metadata);
+      if (source !== catalogSource) {
+        if (catalogFallback && source === configuredCatalogSource) {
+          console.log(`✅ Recovered from the sample data fallback, serving the ${source.name} source again`);
+          catalogFallback = null;
+        }
+        catalogSource = source;
+      }
+      recordCatalogSnapshot();
+      console.log(`✅ Loaded ${productsData.length} products`);
+      console.log(`📊 Scraped at: ${productsMetadata.scrapedAt}`);
+      console.log(`🏷️  Categories: ${productsMetadata.categories?.length || 0}`);
+      lastCatalogReload = { status: 'OK', trigger, at, productCount: productsData.length, error: null };
+    } catch (error) {
+      console.error('❌ Failed to load product data:', error.message);
+      if (productsData.length > 0) {
+        console.log(`↩️  Still serving the previous ${productsData.length} products`);
+      }
+      lastCatalogReload = { status: 'FAILED', trigger, at, productCount: productsData.length, error: error.message };
+    }
+    return lastCatalogReload;
+  });
+  catalogReloadQueue = reload;
+  return reload;
+}
+
+/**
+ * Check a freshly read catalog before it replaces the one being served
+ * @param {Array} products - Raw products
+ */
+function validateCatalog(products) {
+  if (!Array.isArray(products) || products.length === 0) {
+    throw new Error('No products found');
+  }
+  const problems = [];
+  products.forEach((product, index) => {
+    const label = product?.id || `at index ${index}`;
+    if (!product?.id || !product.name || !product.category) {
+      problems.push(`product ${label} is missing its id, name or category`);
+    } else if (!Array.isArray(product.variants) || product.variants.length === 0) {
+      problems.push(`product ${label} has no variants`);
+    } else {
+      try {
+        transformProduct(product);
+      } catch (error) {
+        problems.push(`product ${label} cannot be served: ${error.message}`);
+      }
+    }
+  });
+  if (problems.length > 0) {
+    const more = problems.length > 5 ? ` (and ${problems.length - 5} more)` : '';
+    throw new Error(`Catalog rejected: ${problems.slice(0, 5).join('; ')}${more}`);
+  }
+  console.log(`🎯 Data validation: ${products.length} products ready for GraphQL API`);
+}
+
+// Replace the served catalog and its indexes in one synchronous step, so no request sees a mix
+function swapCatalog(products, metadata) {
+  const previous = { products: productsData, metadata: productsMetadata };
+  productsData = products;
+  productsMetadata = metadata;
+  try {
+    buildCatalogIndexes();
+  } catch (error) {
+    productsData = previous.products;
+    productsMetadata = previous.metadata;
+    buildCatalogIndexes();
+    throw error;
+  }
+}
+
+// Snapshot the catalog being served; history is a bonus, so a failure here never fails the reload
+function recordCatalogSnapshot() {
+  if (!catalogSnapshots || productsMetadata.source === 'sample_data') return;
+  try {
+    const summaries = {};
+    productsData.forEach(product => {
+      if (!summaries[product.id]) summaries[product.id] = snapshotSummary(product);
+    });
+    const snapshot = catalogSnapshots.save({ products: productsData, metadata: productsMetadata, summaries });
+    if (snapshot) {
+      console.log(`🗂️  Catalog snapshot saved for ${snapshot.scrapedAt} (${catalogSnapshots.list().length} kept)`);
+    } else {
+      console.log('🗂️  Catalog unchanged since the last snapshot, none saved');
+    }
+  } catch (error) {
+    console.log(`⚠️  Catalog snapshot not saved: ${error.message}`);
+  }
+}
+
+/**
+ * Reload the catalog whenever the data source reports a change
+ * Only sources that can detect changes (the JSON file source) are watched.
+ */
+function watchCatalogSource() {
+  if (!CATALOG_WATCH || !configuredCatalogSource.watch) return;
+  let timer = null;
+  configuredCatalogSource.watch(() => {
+    clearTimeout(timer);
+    timer = setTimeout(() => reloadCatalog('FILE_CHANGE'), CATALOG_WATCH_DELAY_MS);
+  });
+  console.log(`👀 Watching ${configuredCatalogSource.name} source for catalog changes`);
+}
+
+// Search field weights: a match in the name counts five times one in the description
+const SEARCH_FIELD_BOOSTS = {
+  name: 5,
+  sku: 4,
+  category: 3,
+  keywords: 2,
+  manufacturer: 2,
+  features: 1.5,
+  description: 1
+};
+
+// Flatten a raw product into the text fields the search index covers
+function productSearchDocument(product) {
+  const stripHtml = html => String(html || '').replace(/<[^>]*>/g, ' ');
+  return {
+    name: product.name,
+    sku: product.variants.map(variant => variant.sku).join(' '),
+    category: product.category,
+    keywords: (product.seo?.keywords || []).join(', '),
+    manufacturer: product.information?.manufacturer || '',
+    features: stripHtml(product.components?.features?.content?.html || product.information?.features),
+    description: stripHtml(product.components?.description?.content?.html || product.information?.description)
+  };
+}
+
+// Suggestion ranking: categories first, then product names, SKUs and popular keywords
+const SUGGESTION_WEIGHTS = {
+  CATEGORY: 4,
+  PRODUCT: 3,
+  SKU: 2,
+  KEYWORD: 1
+};
+const MAX_SUGGESTIONS = 20;
+
+/**
+ * Collect everything the search box can suggest, each with the id to navigate to:
+ * the product id for products and SKUs, the slug for categories and the keyword
+ * itself (to run as a search) for keywords
+ * @returns {Array} Suggestion entries for createPrefixIndex()
+ */
+function buildSuggestionEntries() {
+  const entries = [];
+
+  buildCategories().forEach(category => {
+    entries.push({ type: 'CATEGORY', text: category.name, id: category.slug, weight: SUGGESTION_WEIGHTS.CATEGORY });
+  });
+
+  productsData.forEach(product => {
+    entries.push({ type: 'PRODUCT', text: product.name, id: product.id, weight: SUGGESTION_WEIGHTS.PRODUCT });
+    product.variants.filter(variant => variant.sku).forEach(variant => {
+      entries.push({ type: 'SKU', text: variant.sku, id: product.id, weight: SUGGESTION_WEIGHTS.SKU });
+    });
+  });
+
+  // Keywords used by more products rank higher, but never above a single product name
+  const keywordCounts = new Map();
+  productsData.forEach(product => {
+    new Set((product.seo?.keywords || []).map(k => k.trim().toLowerCase())).forEach(keyword => {
+      keywordCounts.set(keyword, (keywordCounts.get(keyword) || 0) + 1);
+    });
+  });
+  keywordCounts.forEach((count, keyword) => {
+    entries.push({
+      type: 'KEYWORD',
+      text: keyword,
+      id: keyword,
+      weight: SUGGESTION_WEIGHTS.KEYWORD + count / (productsData.length + 1)
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Build the lookup structures derived from productsData
+ * Called every time loadProductData runs.
+ */
+function buildCatalogIndexes() {
+  productsById = new Map();
+  productsByPath = new Map();
+  variantsBySku = new Map();
+  productsData.forEach(product => {
+    // The first product wins when the scraper emits a duplicate
+    if (!productsById.has(product.id)) productsById.set(product.id, product);
+    if (product.path && !productsByPath.has(normalizeTopicPath(product.path))) {
+      productsByPath.set(normalizeTopicPath(product.path), product);
+    }
+    product.variants.forEach((variant, index) => {
+      const sku = normalizeSku(variant.sku);
+      if (sku && !variantsBySku.has(sku)) variantsBySku.set(sku, { product, variant, index });
+    });
+  });
+
+  searchIndex = createSearchIndex(productsData.map(productSearchDocument), SEARCH_FIELD_BOOSTS);
+  suggestionIndex = createPrefixIndex(buildSuggestionEntries());
+  console.log(`🔎 Search index built: ${searchIndex.vocabulary.length} terms, ${suggestionIndex.entries.length} suggestions`);
+}
+
+/**
+ * Save an admin edit to the data source and reload the catalog from it
+ * Refused while the sample data fallback is served, as it only lives in memory.
+ * Once the write succeeds the edit is kept, so a failed reload does not fail
+ * the mutation (a retry would apply it twice); it is reported as lastReload
+ * and the previous catalog is served until the next successful reload.
+ * @param {string} id - Product id
+ * @param {Object|null} edit - Edit (see product-edits.js), or null to delete the product
+ * @returns {Promise<Object>} The CatalogReload outcome
+ */
+async function commitProductEdit(id, edit) {
+  if (catalogFallback) {
+    throw new GraphQLError(
+      `Edits are disabled while sample data is served: the ${catalogFallback.source} catalog source failed (${catalogFallback.error})`,
+      { extensions: { code: 'CATALOG_UNAVAILABLE' } }
+    );
+  }
+  await catalogSource.write(id, edit);
+  const reload = await reloadCatalog('EDIT', catalogSource);
+  if (reload.status === 'FAILED') {
+    console.log(`⚠️  Edit to ${id} was saved, but is not served until the catalog reloads: ${reload.error}`);
+  }
+  return reload;
+}
+
+/**
+ * Load the exchange-rate table, keeping the GBP-only default if it is missing or invalid
+ */
+function loadExchangeRates() {
+  try {
+    const table = JSON.parse(fs.readFileSync(EXCHANGE_RATES_FILE, 'utf8'));
+    if (!table.base || !table.rates || table.rates[table.base] !== 1) {
+      throw new Error('rates must include the base currency at 1');
+    }
+    exchangeRates = table;
+    console.log(`💱 Loaded ${Object.keys(table.rates).length} exchange rates (base ${table.base}, updated ${table.updatedAt})`);
+  } catch (error) {
+    console.log(`⚠️  Exchange rates unavailable (${error.message}), prices will only be served in their own currency`);
+  }
+}
+
+/**
+ * Merge new rates into the table and persist it
+ * @param {Array<{currency: string, rate: number}>} updates - Rates against the base currency
+ * @returns {Object} The updated table
+ */
+function saveExchangeRates(updates) {
+  const rates = { ...exchangeRates.rates };
+  updates.forEach(({ currency, rate }) => {
+    if (!(rate > 0)) throw new Error(`Exchange rate for ${currency} must be greater than zero`);
+    if (currency === exchangeRates.base && rate !== 1) {
+      throw new Error(`The base currency ${exchangeRates.base} must keep a rate of 1`);
+    }
+    rates[currency] = rate;
+  });
+
+  const table = { base: exchangeRates.base, updatedAt: new Date().toISOString(), rates };
+  writeJsonFile(EXCHANGE_RATES_FILE, table);
+  exchangeRates = table;
+  return table;
+}
+
+// Error for an argument the client has to fix; formatError keeps its message in production
+function badUserInput(message) {
+  return new GraphQLError(message, { extensions: { code: 'BAD_USER_INPUT' } });
+}
+
+/**
+ * Rate for converting between two currencies via the table's base currency
+ * @returns {{from: string, to: string, rate: number, updatedAt: string}}
+ */
+function getExchangeRate(from, to) {
+  if (from === to) {
+    return { from, to, rate: 1, updatedAt: exchangeRates.updatedAt };
+  }
+  const fromRate = exchangeRates.rates[from];
+  const toRate = exchangeRates.rates[to];
+  if (!fromRate || !toRate) {
+    throw new GraphQLError(`No exchange rate available from ${from} to ${to}`, {
+      extensions: { code: 'BAD_USER_INPUT' }
+    });
+  }
+  return { from, to, rate: toRate / fromRate, updatedAt: exchangeRates.updatedAt };
+}
+
+// Convert an amount and round it to the target currency's minor units
+function convertAmount(amount, from, to) {
+  if (!to || to === from) return amount;
+  const digits = CURRENCY_MINOR_UNITS[to] ?? 2;
+  const factor = 10 ** digits;
+  return Math.round(amount * getExchangeRate(from, to).rate * factor) / factor;
+}
+
+/**
+ * Load VAT rates, keeping the UK standard rate if the file is missing or invalid
+ */
+function loadVatRates() {
+  try {
+    const table = JSON.parse(fs.readFileSync(VAT_RATES_FILE, 'utf8'));
+    if (!table.countries || table.countries[table.defaultCountry] == null) {
+      throw new Error('countries must include the default country');
+    }
+    vatRates = { categories: {}, ...table };
+    console.log(`🧾 Loaded VAT rates for ${Object.keys(table.countries).length} countries (default ${table.defaultCountry})`);
+  } catch (error) {
+    console.log(`⚠️  VAT rates unavailable (${error.message}), using ${vatRates.defaultCountry} ${vatRates.countries[vatRates.defaultCountry] * 100}%`);
+  }
+}
+
+/**
+ * VAT rate for a category in a country; category overrides win over the country rate
+ * @param {string} category - Category name or slug
+ * @param {string} [country] - ISO country code, defaults to the configured country
+ * @returns {number} Rate as a fraction (0.2 for 20%)
+ */
+function getVatRate(category, country = vatRates.defaultCountry) {
+  const code = String(country).toUpperCase();
+  const override = vatRates.categories[slugify(category)]?.[code];
+  const rate = override ?? vatRates.countries[code];
+  if (rate == null) {
+    throw new GraphQLError(`No VAT rate configured for country ${code}`, { extensions: { code: 'BAD_USER_INPUT' } });
+  }
+  return rate;
+}
+
+/**
+ * Split a scraped amount into net, VAT and gross
+ * @param {number} amount - Amount as scraped
+ * @param {Object} product - Raw or transformed product, or anything with category and pricing/vatIncluded
+ * @param {string} [country] - ISO country code
+ * @returns {{net: number, vat: number, gross: number, vatRate: number}}
+ */
+function splitVat(amount, product, country) {
+  const vatRate = getVatRate(product.category, country);
+  const vatIncluded = product.vatIncluded ?? product.pricing?.vatIncluded ?? true;
+  const gross = vatIncluded ? amount : amount * (1 + vatRate);
+  const net = vatIncluded ? amount / (1 + vatRate) : amount;
+  return { net, vat: gross - net, gross, vatRate };
+}
+
+// Amount to show for a price display mode: gross for INC_VAT, net for EX_VAT
+function displayPrice(amount, product, priceDisplay = 'INC_VAT', country) {
+  const { net, gross } = splitVat(amount, product, country);
+  return Math.round((priceDisplay === 'EX_VAT' ? net : gross) * 100) / 100;
+}
+
+// PriceBreakdown in the requested currency; VAT is derived so the parts always add up
+function priceBreakdown(amount, sourceCurrency, product, { currency, country } = {}) {
+  const { net, gross, vatRate } = splitVat(amount, product, country);
+  const target = currency || sourceCurrency;
+  const digits = CURRENCY_MINOR_UNITS[target] ?? 2;
+  const round = value => Math.round(value * 10 ** digits) / 10 ** digits;
+  const convertedGross = round(convertAmount(gross, sourceCurrency, target));
+  const convertedNet = round(convertAmount(net, sourceCurrency, target));
+  return {
+    net: convertedNet,
+    vat: round(convertedGross - convertedNet),
+    gross: convertedGross,
+    vatRate,
+    currency: target
+  };
+}
+
+// GraphQL Schema Definition
+const typeDefs = `#graphql
+  type Product {
+    id: ID!
+    name: String!
+    path: String!
+    category: String!
+    topics: [String!]!
+    breadcrumbs: [Breadcrumb!]!
+    description: Description!
+    specifications: Specifications!
+    technicalSpecs: TechnicalSpecs!
+    features: Features!
+    images: [Image!]!
+    variants: [ProductVariant!]!
+    options: [ProductOption!]!
+    price(currency: CurrencyCode, priceDisplay: PriceDisplay = INC_VAT, country: String): Float!
+    currency: String!
+    exchangeRate(currency: CurrencyCode): ExchangeRate!
+    pricing(currency: CurrencyCode, priceDisplay: PriceDisplay = INC_VAT, country: String): Pricing!
+    priceBreakdown(currency: CurrencyCode, country: String): PriceBreakdown!
+    seo: Seo!
+    sourceUrl: String
+    extractedAt: String
+    warranty: String
+    availability: Availability!
+    manufacturer: String
+    model: String
+    runningCost(input: RunningCostInput): RunningCost!
+    similar(limit: Int = 4): [Product!]!
+    alsoConsider(limit: Int = 3): [Product!]!
+    priceHistory: [PricePoint!]!
+    stockHistory: [StockPoint!]!
+  }
+
+  enum Availability {
+    IN_STOCK
+    OUT_OF_STOCK
+    BACKORDER
+    PREORDER
+    DISCONTINUED
+    UNKNOWN
+  }
+
+  type PriceRange {
+    min: Float!
+    max: Float!
+    base: Float!
+  }
+
+  type Pricing {
+    basePrice: Float!
+    currency: String!
+    priceRange: PriceRange!
+    vatIncluded: Boolean!
+    exchangeRate: ExchangeRate!
+  }
+
+  enum PriceDisplay {
+    INC_VAT
+    EX_VAT
+  }
+
+  type PriceBreakdown {
+    net: Float!
+    vat: Float!
+    gross: Float!
+    vatRate: Float!
+    currency: String!
+  }
+
+  enum CurrencyCode {
+    GBP
+    EUR
+    USD
+    CHF
+    SEK
+    NOK
+    DKK
+    PLN
+    JPY
+  }
+
+  type ExchangeRate {
+    from: String!
+    to: String!
+    rate: Float!
+    updatedAt: String!
+  }
+
+  type CurrencyRate {
+    currency: String!
+    rate: Float!
+  }
+
+  type ExchangeRateTable {
+    base: String!
+    updatedAt: String!
+    rates: [CurrencyRate!]!
+  }
+
+  input ExchangeRateInput {
+    currency: CurrencyCode!
+    rate: Float!
+  }
+
+  type Seo {
+    title: String
+    description: String
+    keywords: [String!]!
+  }
+
+  enum SeoIssueType {
+    MISSING_TITLE
+    TITLE_TOO_LONG
+    MISSING_DESCRIPTION
+    DESCRIPTION_TOO_LONG
+    DUPLICATE_KEYWORDS
+  }
+
+  type SeoIssue {
+    type: SeoIssueType!
+    message: String!
+    relatedProductIds: [ID!]!
+  }
+
+  type SeoAuditEntry {
+    product: Product!
+    issues: [SeoIssue!]!
+  }
+
+  type KeywordUsage {
+    keyword: String!
+    productCount: Int!
+    productIds: [ID!]!
+  }
+
+  type SeoAudit {
+    checkedProducts: Int!
+    productsWithIssues: Int!
+    entries: [SeoAuditEntry!]!
+    repeatedKeywords: [KeywordUsage!]!
+  }
+
+  type Description {
+    html: String!
+    plainText: String!
+  }
+
+  type Specifications {
+    wattage: Int!
+    dimensions: String!
+    weight: Float!
+    coverage: String
+    mounting: String
+    efficiency: String
+  }
+
+  type Measurement {
+    value: Float!
+    unit: String!
+    raw: String!
+  }
+
+  type MeasurementRange {
+    min: Float!
+    max: Float!
+    unit: String!
+    raw: String!
+  }
+
+  type Dimensions {
+    width: Float!
+    height: Float!
+    depth: Float
+    unit: String!
+    raw: String!
+  }
+
+  type IpRating {
+    code: String!
+    solids: Int
+    liquids: Int
+    raw: String!
+  }
+
+  type SpecEntry {
+    key: String!
+    value: String!
+  }
+
+  type TechnicalSpecs {
+    wattage: Measurement
+    dimensions: Dimensions
+    weight: Measurement
+    voltage: MeasurementRange
+    ipRating: IpRating
+    coverage: MeasurementRange
+    entries: [SpecEntry!]!
+  }
+
+  type Features {
+    html: String!
+    plainText: String!
+  }
+
+  type Image {
+    url: String!
+    altText: String!
+  }
+
+  type ProductVariant {
+    id: ID!
+    name: String!
+    sku: String!
+    price(currency: CurrencyCode, priceDisplay: PriceDisplay = INC_VAT, country: String): Float!
+    currency: String!
+    priceBreakdown(currency: CurrencyCode, country: String): PriceBreakdown!
+    exchangeRate(currency: CurrencyCode): ExchangeRate!
+    stock: Int!
+    isDefault: Boolean!
+    attributes: [VariantAttribute!]!
+  }
+
+  type VariantAttribute {
+    attribute: String!
+    value: String!
+  }
+
+  type ProductOption {
+    attribute: String!
+    values: [String!]!
+  }
+
+  input AttributeInput {
+    attribute: String!
+    value: String!
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+
+  type ProductEdge {
+    cursor: String!
+    node: Product!
+  }
+
+  type ProductConnection {
+    edges: [ProductEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  enum ProductSortField {
+    PRICE
+    WATTAGE
+    NAME
+    EXTRACTED_AT
+    COVERAGE
+    EFFICIENCY
+  }
+
+  enum SortDirection {
+    ASC
+    DESC
+  }
+
+  input ProductSort {
+    field: ProductSortField!
+    direction: SortDirection = ASC
+    priceDisplay: PriceDisplay = INC_VAT
+  }
+
+  input ProductFilter {
+    category: String
+    # A product matches when any of its variant prices (pricing.priceRange) is within the bounds
+    minPrice: Float
+    maxPrice: Float
+    priceDisplay: PriceDisplay = INC_VAT
+    # Currency of minPrice and maxPrice; each product's own currency when not set
+    currency: CurrencyCode
+    minWattage: Int
+    maxWattage: Int
+    availability: [Availability!]
+    manufacturer: String
+    mounting: String
+    minIpRating: String
+    minEfficiency: String
+    voltage: Float
+    controlType: String
+    inStock: Boolean
+    hasImages: Boolean
+    minCoverage: Float
+    maxCoverage: Float
+    text: String
+    AND: [ProductFilter!]
+    OR: [ProductFilter!]
+    NOT: [ProductFilter!]
+  }
+
+  type Breadcrumb {
+    name: String!
+    path: String!
+  }
+
+  type TopicNode {
+    path: String!
+    name: String!
+    depth: Int!
+    productCount: Int!
+    children: [TopicNode!]!
+  }
+
+  enum SearchOperator {
+    AND
+    OR
+  }
+
+  type SearchHighlight {
+    field: String!
+    snippet: String!
+  }
+
+  type SearchHit {
+    product: Product!
+    score: Float!
+    highlights: [SearchHighlight!]!
+  }
+
+  type SearchHitEdge {
+    cursor: String!
+    node: SearchHit!
+  }
+
+  type SearchHitConnection {
+    edges: [SearchHitEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  enum SuggestionType {
+    PRODUCT
+    CATEGORY
+    SKU
+    KEYWORD
+  }
+
+  type Suggestion {
+    text: String!
+    type: SuggestionType!
+    id: ID!
+  }
+
+  type SkuMatch {
+    product: Product!
+    variant: ProductVariant!
+  }
+
+  enum ComparisonPreference {
+    LOWER
+    HIGHER
+    NONE
+  }
+
+  type ComparisonValue {
+    productId: ID!
+    display: String
+    value: Float
+  }
+
+  type ComparisonRow {
+    attribute: String!
+    label: String!
+    values: [ComparisonValue!]!
+    differs: Boolean!
+    preference: ComparisonPreference!
+    bestProductIds: [ID!]!
+  }
+
+  type ProductComparison {
+    products: [Product!]!
+    rows: [ComparisonRow!]!
+  }
+
+  enum InsulationLevel {
+    POOR
+    AVERAGE
+    GOOD
+    EXCELLENT
+  }
+
+  enum RoomType {
+    LIVING_ROOM
+    BEDROOM
+    KITCHEN
+    BATHROOM
+    OFFICE
+    CONSERVATORY
+    WORKSHOP
+    GARAGE
+  }
+
+  input RoomInput {
+    length: Float!
+    width: Float!
+    ceilingHeight: Float = 2.4
+    insulation: InsulationLevel = AVERAGE
+    roomType: RoomType = LIVING_ROOM
+  }
+
+  type HeatingCalculation {
+    area: Float!
+    volume: Float!
+    wattsPerCubicMetre: Float!
+    roomTypeFactor: Float!
+    requiredWattage: Int!
+    steps: [String!]!
+  }
+
+  type HeaterRecommendation {
+    product: Product!
+    quantity: Int!
+    totalWattage: Int!
+    coverageMatched: Boolean!
+    oversizePercent: Float!
+    totalPrice: Float!
+  }
+
+  type HeaterRecommendations {
+    calculation: HeatingCalculation!
+    recommendations: [HeaterRecommendation!]!
+  }
+
+  input RunningCostInput {
+    pricePerKwh: Float
+    hoursPerDay: Float
+    daysPerYear: Float
+    dutyCycle: Float
+  }
+
+  type RunningCost {
+    wattage: Int!
+    pricePerKwh: Float!
+    hoursPerDay: Float!
+    daysPerYear: Float!
+    dutyCycle: Float!
+    hourly: Float!
+    daily: Float!
+    annual: Float!
+    currency: String!
+  }
+
+  type ProductRunningCost {
+    product: Product!
+    runningCost: RunningCost!
+  }
+
+  type Category {
+    slug: String!
+    name: String!
+    description: String
+    powerRange: MeasurementRange
+    productCount: Int!
+    products(first: Int, after: String, last: Int, before: String, sort: [ProductSort!]): ProductConnection!
+  }
+
+  enum FacetField {
+    CATEGORY
+    WATTAGE
+    PRICE
+    MOUNTING
+    IP_RATING
+    ENERGY_RATING
+  }
+
+  type FacetBucket {
+    value: String!
+    label: String!
+    count: Int!
+    min: Float
+    max: Float
+  }
+
+  type Facet {
+    field: FacetField!
+    buckets: [FacetBucket!]!
+  }
+
+  type ProductFacets {
+    totalCount: Int!
+    facets: [Facet!]!
+  }
+
+  enum CatalogReloadStatus {
+    OK
+    FAILED
+  }
+
+  enum CatalogReloadTrigger {
+    STARTUP
+    FILE_CHANGE
+    MUTATION
+    HTTP
+    EDIT
+  }
+
+  type CatalogReload {
+    status: CatalogReloadStatus!
+    trigger: CatalogReloadTrigger!
+    at: String!
+    productCount: Int!
+    error: String
+  }
+
+  # A snapshot's metadata.scrapedAt, e.g. "2025-07-06T18:53:56.433Z"
+  scalar SnapshotId
+
+  type CatalogSnapshot {
+    id: SnapshotId!
+    scrapedAt: String!
+    takenAt: String!
+    source: String!
+    productCount: Int!
+  }
+
+  type PricePoint {
+    scrapedAt: String!
+    price: Float!
+    currency: String!
+  }
+
+  type StockPoint {
+    scrapedAt: String!
+    stock: Int!
+    availability: Availability!
+  }
+
+  type CatalogDiffSummary {
+    added: Int!
+    removed: Int!
+    changed: Int!
+    unchanged: Int!
+  }
+
+  type CatalogDiffProduct {
+    id: ID!
+    name: String!
+    category: String
+  }
+
+  # from and to are JSON-encoded values; null when the field or variant did not exist
+  type FieldChange {
+    field: String!
+    from: String
+    to: String
+  }
+
+  type ChangedProduct {
+    id: ID!
+    name: String!
+    category: String
+    changes: [FieldChange!]!
+  }
+
+  type CatalogDiff {
+    from: SnapshotId!
+    to: SnapshotId!
+    summary: CatalogDiffSummary!
+    added: [CatalogDiffProduct!]!
+    removed: [CatalogDiffProduct!]!
+    changed: [ChangedProduct!]!
+  }
+
+  type APIMetadata {
+    # null when the catalog does not say when it was scraped
+    scrapedAt: String
+    totalProducts: Int!
+    source: String!
+    categories: [String!]!
+    lastReload: CatalogReload
+  }
+
+  type Query {
+    products(first: Int, after: String, last: Int, before: String, filter: ProductFilter, sort: [ProductSort!]): ProductConnection!
+    product(id: ID!): Product
+    productByPath(path: String!): Product
+    productBySku(sku: String!): SkuMatch
+    productsByIds(ids: [ID!]!): [Product]!
+    compareProducts(ids: [ID!]!, priceDisplay: PriceDisplay = INC_VAT): ProductComparison!
+    recommendHeaters(room: RoomInput!, limit: Int = 5, priceDisplay: PriceDisplay = INC_VAT): HeaterRecommendations!
+    estimateRunningCosts(ids: [ID!]!, input: RunningCostInput): [ProductRunningCost!]!
+    variantBySelection(productId: ID!, selection: [AttributeInput!]!): ProductVariant
+    categories: [Category!]!
+    category(slug: String!): Category
+    suggest(prefix: String!, limit: Int = 10): [Suggestion!]!
+    topicTree: [TopicNode!]!
+    productsByTopic(path: String!, includeDescendants: Boolean = true, first: Int, after: String, last: Int, before: String, sort: [ProductSort!]): ProductConnection!
+    productsByCategory(category: String!, first: Int, after: String, last: Int, before: String, sort: [ProductSort!]): ProductConnection!
+    searchProducts(query: String!, operator: SearchOperator = AND, fuzzy: Boolean = true, first: Int, after: String, last: Int, before: String, sort: [ProductSort!]): SearchHitConnection!
+    # products(filter: { minPrice, maxPrice }): any variant price in range, not only the default variant's
+    productsByPriceRange(minPrice: Float!, maxPrice: Float!, priceDisplay: PriceDisplay = INC_VAT, first: Int, after: String, last: Int, before: String, sort: [ProductSort!]): ProductConnection!
+    productsByWattage(minWattage: Int!, maxWattage: Int!, first: Int, after: String, last: Int, before: String, sort: [ProductSort!]): ProductConnection!
+    # Price bucket bounds are in currency (by default filter.currency, else the exchange-rate base);
+    # filter by a bucket with ProductFilter { minPrice, maxPrice, currency } in that same currency
+    productFacets(filter: ProductFilter, currency: CurrencyCode): ProductFacets!
+    seoAudit(maxTitleLength: Int = 60, maxDescriptionLength: Int = 160): SeoAudit!
+    exchangeRates: ExchangeRateTable!
+    catalogSnapshots: [CatalogSnapshot!]!
+    catalogDiff(from: SnapshotId, to: SnapshotId): CatalogDiff!
+    metadata: APIMetadata!
+    health: String!
+  }
+
+  input SpecificationsInput {
+    wattage: Int
+    dimensions: String
+    weight: Float
+    coverage: String
+    mounting: String
+    efficiency: String
+    voltage: String
+    heatingType: String
+    controlType: String
+    ipRating: String
+  }
+
+  input ImageInput {
+    url: String!
+    altText: String
+  }
+
+  input SeoInput {
+    title: String
+    description: String
+    keywords: [String!]
+  }
+
+  input ProductVariantInput {
+    sku: String!
+    name: String!
+    price: Float!
+    currency: CurrencyCode
+    stock: Int
+    isDefault: Boolean
+    attributes: [AttributeInput!]
+  }
+
+  # id and path default to slugs of the name and category
+  input CreateProductInput {
+    id: ID
+    name: String!
+    path: String
+    category: String!
+    topics: [String!]
+    description: String
+    features: String
+    specifications: SpecificationsInput
+    images: [ImageInput!]
+    variants: [ProductVariantInput!]!
+    vatIncluded: Boolean
+    seo: SeoInput
+    sourceUrl: String
+    warranty: String
+    availability: Availability
+    manufacturer: String
+    model: String
+  }
+
+  # Fields left out (or null) keep their current value
+  input UpdateProductInput {
+    name: String
+    path: String
+    category: String
+    topics: [String!]
+    description: String
+    features: String
+    specifications: SpecificationsInput
+    images: [ImageInput!]
+    vatIncluded: Boolean
+    seo: SeoInput
+    sourceUrl: String
+    warranty: String
+    availability: Availability
+    manufacturer: String
+    model: String
+  }
+
+  type Mutation {
+    updateExchangeRates(rates: [ExchangeRateInput!]!): ExchangeRateTable!
+    reloadCatalog: CatalogReload!
+    createProduct(input: CreateProductInput!): Product!
+    updateProduct(id: ID!, input: UpdateProductInput!): Product!
+    deleteProduct(id: ID!): ID!
+    upsertVariant(productId: ID!, variant: ProductVariantInput!): Product!
+    deleteVariant(productId: ID!, sku: String!): Product!
+  }
+`;
+
+// GraphQL Resolvers
+const resolvers = {
+  SnapshotId: new GraphQLScalarType({
+    name: 'SnapshotId',
+    description: "A catalog snapshot's metadata.scrapedAt timestamp",
+    serialize: value => String(value),
+    parseValue: value => parseSnapshotId(value),
+    parseLiteral: ast => {
+      if (ast.kind !== Kind.STRING) throw badUserInput('SnapshotId must be a timestamp string');
+      return parseSnapshotId(ast.value);
+    }
+  }),
+
+  Query: {
+    products: async (parent, { filter, sort, ...page }) => {
+      const filteredProducts = filterProducts(productsData, filter);
+      return connectionFromArray(sortProducts(filteredProducts, sort), page);
+    },
+
+    product: async (parent, { id }) => {
+      const product = productsById.get(id);
+      return product ? transformProduct(product) : null;
+    },
+
+    productByPath: async (parent, { path: productPath }) => {
+      const product = productsByPath.get(normalizeTopicPath(productPath));
+      return product ? transformProduct(product) : null;
+    },
+
+    productBySku: async (parent, { sku }) => {
+      const match = variantsBySku.get(normalizeSku(sku));
+      return match
+        ? { product: transformProduct(match.product), variant: transformVariant(match.product, match.variant, match.index) }
+        : null;
+    },
+
+    // Results line up with the requested ids, with null for unknown ones
+    productsByIds: async (parent, { ids }) => ids.map(id => {
+      const product = productsById.get(id);
+      return product ? transformProduct(product) : null;
+    }),
+
+    compareProducts: async (parent, { ids, priceDisplay }) => {
+      const uniqueIds = [...new Set(ids)];
+      if (uniqueIds.length < 2 || uniqueIds.length > MAX_COMPARED_PRODUCTS) {
+        throw badUserInput(`Compare between 2 and ${MAX_COMPARED_PRODUCTS} products`);
+      }
+      const missing = uniqueIds.filter(id => !productsById.has(id));
+      if (missing.length > 0) {
+        throw badUserInput(`Unknown product id(s): ${missing.join(', ')}`);
+      }
+      return compareProducts(uniqueIds.map(id => transformProduct(productsById.get(id))), { priceDisplay });
+    },
+
+    recommendHeaters: async (parent, { room, limit, priceDisplay }) => {
+      const calculation = calculateHeatingRequirement(room);
+      return {
+        calculation,
+        recommendations: recommendHeaters(calculation, limit, priceDisplay)
+      };
+    },
+
+    estimateRunningCosts: async (parent, { ids, input }) => {
+      const missing = ids.filter(id => !productsById.has(id));
+      if (missing.length > 0) {
+        throw badUserInput(`Unknown product id(s): ${missing.join(', ')}`);
+      }
+      return [...new Set(ids)].map(id => {
+        const product = transformProduct(productsById.get(id));
+        return { product, runningCost: estimateRunningCost(product, input) };
+      });
+    },
+
+    variantBySelection: async (parent, { productId, selection }) => {
+      const product = productsById.get(productId);
+      if (!product) return null;
+
+      const normalise = value => String(value).trim().toLowerCase();
+      const matches = product.variants
+        .map((variant, index) => ({ variant, index }))
+        .filter(({ variant }) => selection.every(({ attribute, value }) =>
+          (variant.attributes || []).some(attr =>
+            normalise(attr.attribute) === normalise(attribute) && normalise(attr.value) === normalise(value)
+          )
+        ));
+
+      // A partial selection can match several variants; prefer the default one
+      const match = matches.find(({ variant }) => variant.isDefault) || matches[0];
+      return match ? transformVariant(product, match.variant, match.index) : null;
+    },
+
+    categories: () => buildCategories(),
+
+    category: (parent, { slug }) => findCategory(slug),
+
+    productsByCategory: async (parent, { category, ...args }) => {
+      const match = findCategory(category);
+      return match
+        ? resolvers.Category.products(match, args)
+        : connectionFromArray([], args);
+    },
+
+    suggest: (parent, { prefix, limit }) =>
+      lookupPrefix(suggestionIndex, prefix, Math.min(Math.max(limit, 1), MAX_SUGGESTIONS))
+        .map(({ text, type, id }) => ({ text, type, id })),
+
+    topicTree: () => buildTopicTree(productsData),
+
+    productsByTopic: async (parent, { path: topicPath, includeDescendants, sort, ...page }) => {
+      const target = normalizeTopicPath(topicPath);
+      const products = productsData.filter(p => getProductTopics(p).some(topic =>
+        topic === target || (includeDescendants && topic.startsWith(`${target}/`))
+      ));
+      return connectionFromArray(sortProducts(products, sort), page);
+    },
+
+    searchProducts: async (parent, { query, operator, fuzzy, sort, ...page }) => {
+      let hits = search(searchIndex, query, { operator, fuzzy })
+        .map(hit => ({ ...hit, product: productsData[hit.docId] }));
+
+      // An explicit sort replaces relevance order
+      if (sort?.length) {
+        const hitByProduct = new Map(hits.map(hit => [hit.product, hit]));
+        hits = sortProducts(hits.map(hit => hit.product), sort).map(p => hitByProduct.get(p));
+      }
+
+      return connectionFromArray(hits, page, hit => ({
+        product: transformProduct(hit.product),
+        score: hit.score,
+        highlights: hit.highlights
+      }));
+    },
+
+    productsByPriceRange: async (parent, { minPrice, maxPrice, priceDisplay, ...args }) =>
+      resolvers.Query.products(parent, { ...args, filter: { minPrice, maxPrice, priceDisplay } }),
+
+    productsByWattage: async (parent, { minWattage, maxWattage, ...args }) =>
+      resolvers.Query.products(parent, { ...args, filter: { minWattage, maxWattage } }),
+
+    productFacets: (parent, { filter, currency }) => {
+      if (currency && filter?.currency && currency !== filter.currency) {
+        throw new GraphQLError(`currency ${currency} must match filter.currency ${filter.currency}, as price buckets are filters`, {
+          extensions: { code: 'BAD_USER_INPUT' }
+        });
+      }
+      return buildProductFacets(productsData, filter, currency || filter?.currency || undefined);
+    },
+
+    seoAudit: (parent, { maxTitleLength, maxDescriptionLength }) =>
+      auditSeo(productsData, { maxTitleLength, maxDescriptionLength }),
+
+    exchangeRates: () => formatExchangeRates(exchangeRates),
+
+    catalogSnapshots: () => (catalogSnapshots ? catalogSnapshots.list() : [])
+      .reverse()
+      .map(({ id, scrapedAt, takenAt, source, productCount }) => ({ id, scrapedAt, takenAt, source, productCount })),
+
+    // Defaults compare the catalog being served with the snapshot before it
+    catalogDiff: (parent, { from, to }) => {
+      if (!to && Number.isNaN(Date.parse(productsMetadata.scrapedAt))) {
+        throw badUserInput('The catalog being served has no scrapedAt to compare by; pass a snapshot id as to');
+      }
+      const target = to ? loadSnapshotCatalog(to) : { id: productsMetadata.scrapedAt, products: productsData };
+      const previous = (catalogSnapshots ? catalogSnapshots.list() : [])
+        .filter(snapshot => Date.parse(snapshot.scrapedAt) < Date.parse(target.id))
+        .pop();
+      if (!from && !previous) {
+        throw badUserInput(`No snapshot older than ${target.id} to compare with`);
+      }
+      const source = loadSnapshotCatalog(from || previous.id);
+      const diff = diffCatalogs(source.products, target.products);
+      const json = value => (value == null ? null : JSON.stringify(value));
+      const encode = change => ({ field: change.field, from: json(change.from), to: json(change.to) });
+      return {
+        from: source.id,
+        to: target.id,
+        ...diff,
+        changed: diff.changed.map(product => ({ ...product, changes: product.changes.map(encode) }))
+      };
+    },
+
+    metadata: () => ({
+      scrapedAt: productsMetadata.scrapedAt || null,
+      totalProducts: productsData.length,
+      source: productsMetadata.source || 'unknown',
+      categories: [...new Set(productsData.map(p => p.category))].sort(),
+      lastReload: lastCatalogReload
+    }),
+
+    health: () => `🚀 Norko GraphQL API is running! ${productsData.length} products loaded.`
+  },
+
+  Mutation: {
+    updateExchangeRates: (parent, { rates }, context) => {
+      requireAdmin(context);
+      return formatExchangeRates(saveExchangeRates(rates));
+    },
+
+    reloadCatalog: (parent, args, context) => {
+      requireAdmin(context);
+      return reloadCatalog('MUTATION');
+    },
+
+    createProduct: async (parent, { input }, context) => {
+      requireAdmin(context);
+      const id = input.id || slugify(input.name);
+      if (await catalogSource.get(id)) {
+        throw badUserInput(`Product ${id} already exists`);
+      }
+      const product = applyProductInput({
+        id,
+        path: `/infrared-heaters/${slugify(input.category)}/${id}`,
+        shape: 'Heater Product',
+        specifications: { basic: {}, technical: {} },
+        information: {},
+        media: { images: [] },
+        variants: input.variants.map(variant => buildRawVariant(variant))
+      }, input);
+      const defaultVariant = input.variants.find(variant => variant.isDefault);
+      if (defaultVariant) moveDefaultVariantFirst(product, normalizeSku(defaultVariant.sku));
+      syncProductPricing(product);
+      validateProduct(product);
+      await commitProductEdit(id, { product });
+      return transformProduct(product);
+    },
+
+    updateProduct: async (parent, { id, input }, context) => {
+      requireAdmin(context);
+      const existing = await requireProduct(id);
+      return saveProductEdit(existing, { fields: withoutNulls(input) });
+    },
+
+    deleteProduct: async (parent, { id }, context) => {
+      requireAdmin(context);
+      await requireProduct(id);
+      await commitProductEdit(id, null);
+      return id;
+    },
+
+    upsertVariant: async (parent, { productId, variant }, context) => {
+      requireAdmin(context);
+      const existing = await requireProduct(productId);
+      const sku = normalizeSku(variant.sku);
+      const input = withoutNulls({ ...variant, currency: variant.currency || getProductCurrency(existing) });
+      return saveProductEdit(existing, { variants: { [sku]: input }, defaultSku: variant.isDefault ? sku : null });
+    },
+
+    deleteVariant: async (parent, { productId, sku }, context) => {
+      requireAdmin(context);
+      const existing = await requireProduct(productId);
+      if (!existing.variants.some(v => normalizeSku(v.sku) === normalizeSku(sku))) {
+        throw badUserInput(`Product ${productId} has no variant with SKU ${sku}`);
+      }
+      return saveProductEdit(existing, { variants: { [normalizeSku(sku)]: null } });
+    }
+  },
+
+  Product: {
+    price: (product, { currency, priceDisplay, country }) =>
+      convertAmount(displayPrice(product.price, product, priceDisplay, country), product.currency, currency),
+
+    // The rate price(currency:) converts with, for clients showing where a converted price came from
+    exchangeRate: (product, { currency }) => getExchangeRate(product.currency, currency || product.currency),
+
+    pricing: (product, { currency, priceDisplay, country }) => {
+      const { pricing } = product;
+      const target = currency || pricing.currency;
+      const convert = amount =>
+        convertAmount(displayPrice(amount, product, priceDisplay, country), pricing.currency, target);
+      return {
+        ...pricing,
+        basePrice: convert(pricing.basePrice),
+        currency: target,
+        vatIncluded: priceDisplay !== 'EX_VAT',
+        priceRange: {
+          min: convert(pricing.priceRange.min),
+          max: convert(pricing.priceRange.max),
+          base: convert(pricing.priceRange.base)
+        },
+        exchangeRate: getExchangeRate(pricing.currency, target)
+      };
+    },
+
+    priceBreakdown: (product, args) => priceBreakdown(product.price, product.currency, product, args),
+
+    runningCost: (product, { input }) => estimateRunningCost(product, input),
+
+    similar: (product, { limit }) => {
+      const source = productsById.get(product.id);
+      return source ? findSimilarProducts(source, limit).map(transformProduct) : [];
+    },
+
+    // Same category, strictly better energy rating, best rated first.
+    // Unrated products are never suggested; any rated one beats an unrated source.
+    alsoConsider: (product, { limit }) => {
+      const source = productsById.get(product.id);
+      if (!source) return [];
+      const sourceScore = efficiencyScore(getProductEfficiency(source));
+      return productsData
+        .filter(p => p.id !== source.id && p.category === source.category)
+        .map(p => ({ product: p, score: efficiencyScore(getProductEfficiency(p)) }))
+        .filter(({ score }) => score != null && (sourceScore == null || score > sourceScore))
+        .sort((a, b) => b.score - a.score ||
+          similarityScore(source, b.product) - similarityScore(source, a.product))
+        .slice(0, Math.max(limit, 0))
+        .map(({ product: match }) => transformProduct(match));
+    },
+
+    priceHistory: product =>
+      productHistory(product.id, ({ price, currency }) => ({ price, currency })),
+
+    stockHistory: product =>
+      productHistory(product.id, ({ stock, availability }) => ({ stock, availability }))
+  },
+
+  ProductVariant: {
+    price: (variant, { currency, priceDisplay, country }) => convertAmount(
+      displayPrice(variant.price, variantProducts.get(variant), priceDisplay, country), variant.currency, currency
+    ),
+    priceBreakdown: (variant, args) =>
+      priceBreakdown(variant.price, variant.currency, variantProducts.get(variant), args),
+    exchangeRate: (variant, { currency }) => getExchangeRate(variant.currency, currency || variant.currency)
+  },
+
+  Category: {
+    products: (category, { sort, ...page }) => {
+      const products = productsData.filter(p => slugify(p.category) === category.slug);
+      return connectionFromArray(sortProducts(products, sort), page);
+    }
+  }
+};
+
+// Field extraction shared by transformProduct, filters and sorting; the raw field getters are in product-fields.js
+// Scraped pricing block, derived from the variants when the scraper did not provide one
+function getProductPricing(product) {
+  const basePrice = product.pricing?.basePrice ?? getProductPrice(product);
+  const range = product.pricing?.priceRange || {};
+  const variantPrices = product.variants
+    .map(variant => variant.price)
+    .filter(price => typeof price === 'number');
+
+  return {
+    basePrice,
+    currency: product.pricing?.currency || getProductCurrency(product),
+    priceRange: {
+      min: range.min ?? Math.min(basePrice, ...variantPrices),
+      max: range.max ?? Math.max(basePrice, ...variantPrices),
+      base: range.base ?? basePrice
+    },
+    vatIncluded: product.pricing?.vatIncluded ?? true
+  };
+}
+
+function getProductSeo(product) {
+  return {
+    title: product.seo?.title || null,
+    description: product.seo?.description || null,
+    keywords: product.seo?.keywords || []
+  };
+}
+
+// Scraped availability strings, checked in order (e.g. "No longer available" before "Available",
+// and negations such as "Not in stock" before "In stock")
+const AVAILABILITY_PATTERNS = [
+  [/discontinued|no longer available|withdrawn/i, 'DISCONTINUED'],
+  [/pre-?order|coming soon/i, 'PREORDER'],
+  [/back-?order|on order|made to order/i, 'BACKORDER'],
+  [/out of stock|sold out|unavailable|\bnot (?:currently )?(?:in stock|available)|\bno stock/i, 'OUT_OF_STOCK'],
+  [/in stock|available/i, 'IN_STOCK']
+];
+
+function getProductAvailability(product) {
+  const availability = product.information?.availability || '';
+  const match = AVAILABILITY_PATTERNS.find(([pattern]) => pattern.test(availability));
+  return match ? match[1] : 'UNKNOWN';
+}
+
+// Price range in a display mode (and optionally another currency), used wherever products are filtered by price
+function getDisplayPriceRange(product, priceDisplay, currency) {
+  const pricing = getProductPricing(product);
+  const convert = amount => {
+    const shown = displayPrice(amount, product, priceDisplay);
+    return currency ? convertAmount(shown, pricing.currency, currency) : shown;
+  };
+  return { min: convert(pricing.priceRange.min), max: convert(pricing.priceRange.max) };
+}
+
+// Sellable now: not flagged unavailable, and some variant has stock (missing stock counts as stocked)
+function isProductInStock(product) {
+  return getProductAvailability(product) === 'IN_STOCK' &&
+    product.variants.some(variant => variant.stock == null || variant.stock > 0);
+}
+
+function getProductMounting(product) {
+  return getProductSpecs(product).mounting || 'Wall mounted';
+}
+
+function getProductCoverage(product) {
+  return getProductSpecs(product).coverage || product.specifications?.coverage || null;
+}
+
+// Scraped energy rating, or null when the product has none; only the displayed one gets a default
+function getProductEfficiency(product) {
+  return getProductSpecs(product).efficiency || product.specifications?.efficiency || null;
+}
+
+// Transform scraped product data to GraphQL schema
+function transformProduct(product) {
+  // Handle enhanced scraper data structure
+  const specs = getProductSpecs(product);
+  const description = product.components?.description?.content || {
+    html: product.information?.description || '<p>High-quality infrared heater.</p>',
+    plainText: product.information?.description?.replace(/<[^>]*>/g, '') || 'High-quality infrared heater.'
+  };
+  const features = product.components?.features?.content || {
+    html: product.information?.features || '<ul><li>Energy efficient heating</li></ul>',
+    plainText: product.information?.features?.replace(/<[^>]*>/g, '') || 'Energy efficient heating'
+  };
+  const images = getProductImages(product);
+  
+  return {
+    id: product.id,
+    name: product.name,
+    path: product.path,
+    category: product.category,
+    topics: getProductTopics(product),
+    breadcrumbs: buildBreadcrumbs(product),
+    description: {
+      html: description.html,
+      plainText: description.plainText
+    },
+    specifications: {
+      wattage: getProductWattage(product),
+      dimensions: specs.dimensions || 'Unknown',
+      weight: specs.weight || 0,
+      coverage: getProductCoverage(product),
+      mounting: getProductMounting(product),
+      efficiency: getProductEfficiency(product) || 'A+ Energy Rating'
+    },
+    technicalSpecs: buildTechnicalSpecs(product),
+    features: {
+      html: features.html,
+      plainText: features.plainText
+    },
+    images: images.map(img => ({
+      url: img.url,
+      altText: img.altText || img.alt || 'Product image'
+    })),
+    variants: product.variants.map((variant, index) => transformVariant(product, variant, index)),
+    options: buildOptionMatrix(product.variants),
+    price: getProductPrice(product),
+    currency: getProductCurrency(product),
+    pricing: getProductPricing(product),
+    seo: getProductSeo(product),
+    sourceUrl: product.sourceUrl || null,
+    extractedAt: product.extractedAt || null,
+    warranty: product.components?.warranty?.text || product.information?.warranty || '2 year manufacturer warranty',
+    availability: getProductAvailability(product),
+    manufacturer: product.information?.manufacturer || null,
+    model: product.information?.model || null
+  };
+}
+
+/**
+ * Build typed technical specifications from the scraped technicalSpecs chunk,
+ * falling back to the basic specification block for missing values
+ * @param {Object} product - Raw product
+ * @returns {Object} TechnicalSpecs
+ */
+function buildTechnicalSpecs(product) {
+  const technical = getProductTechnicalSpecs(product);
+  const basic = { ...product.specifications?.basic, ...getProductSpecs(product) };
+  const pick = (...keys) => keys.map(key => technical[key]).find(value => value != null && value !== '')
+    ?? keys.map(key => basic[key]).find(value => value != null && value !== '');
+
+  return {
+    wattage: parseMeasurement(pick('wattage'), 'W'),
+    dimensions: parseDimensions(pick('dimensions')),
+    weight: parseMeasurement(pick('weight'), 'kg'),
+    voltage: parseRange(pick('voltage'), 'V'),
+    ipRating: parseIpRating(pick('ip_rating', 'ipRating')),
+    coverage: parseRange(pick('heats_up_to', 'coverage'), 'm²'),
+    entries: Object.entries(technical)
+      .filter(([, value]) => value != null && typeof value !== 'object')
+      .map(([key, value]) => ({ key, value: String(value) }))
+  };
+}
+
+// Product filtering, one entry per filter dimension so facets can leave their own out
+const PRODUCT_FILTERS = {
+  category: {
+    applies: filter => filter.category != null,
+    matches: (p, filter) => p.category.toLowerCase().includes(filter.category.toLowerCase())
+  },
+  // Match when any part of the product's price range falls inside the filter
+  price: {
+    applies: filter => filter.minPrice != null || filter.maxPrice != null,
+    matches: (p, filter) => {
+      const { min, max } = getDisplayPriceRange(p, filter.priceDisplay, filter.currency);
+      return (filter.minPrice == null || max >= filter.minPrice) &&
+             (filter.maxPrice == null || min <= filter.maxPrice);
+    }
+  },
+  wattage: {
+    applies: filter => filter.minWattage != null || filter.maxWattage != null,
+    matches: (p, filter) => {
+      const wattage = getProductWattage(p);
+      return (filter.minWattage == null || wattage >= filter.minWattage) &&
+             (filter.maxWattage == null || wattage <= filter.maxWattage);
+    }
+  },
+  availability: {
+    applies: filter => filter.availability != null,
+    matches: (p, filter) => filter.availability.includes(getProductAvailability(p))
+  },
+  manufacturer: {
+    applies: filter => filter.manufacturer != null,
+    matches: (p, filter) =>
+      (p.information?.manufacturer || '').toLowerCase() === filter.manufacturer.toLowerCase()
+  },
+  mounting: {
+    applies: filter => filter.mounting != null,
+    matches: (p, filter) => getProductMounting(p).toLowerCase().includes(filter.mounting.toLowerCase())
+  },
+  // At least as much protection against both solids and water; "X" (untested) counts as 0
+  ipRating: {
+    applies: filter => filter.minIpRating != null,
+    matches: (p, filter) => {
+      const minimum = parseIpRating(filter.minIpRating);
+      if (!minimum) throw badUserInput(`Invalid IP rating: ${filter.minIpRating}`);
+      const rating = buildTechnicalSpecs(p).ipRating;
+      return Boolean(rating) &&
+        (rating.solids || 0) >= (minimum.solids || 0) &&
+        (rating.liquids || 0) >= (minimum.liquids || 0);
+    }
+  },
+  efficiency: {
+    applies: filter => filter.minEfficiency != null,
+    matches: (p, filter) => {
+      const minimum = efficiencyScore(filter.minEfficiency);
+      if (minimum == null) throw badUserInput(`Invalid energy rating: ${filter.minEfficiency}`);
+      return (efficiencyScore(getProductEfficiency(p)) ?? -1) >= minimum;
+    }
+  },
+  voltage: {
+    applies: filter => filter.voltage != null,
+    matches: (p, filter) => {
+      const voltage = buildTechnicalSpecs(p).voltage;
+      return Boolean(voltage) && filter.voltage >= voltage.min && filter.voltage <= voltage.max;
+    }
+  },
+  controlType: {
+    applies: filter => filter.controlType != null,
+    matches: (p, filter) => (p.specifications?.basic?.control_type || getProductSpecs(p).control_type || '')
+      .toLowerCase()
+      .includes(filter.controlType.toLowerCase())
+  },
+  inStock: {
+    applies: filter => filter.inStock != null,
+    matches: (p, filter) => isProductInStock(p) === filter.inStock
+  },
+  hasImages: {
+    applies: filter => filter.hasImages != null,
+    matches: (p, filter) => (getProductImages(p).length > 0) === filter.hasImages
+  },
+  // Match when the product's coverage range overlaps the requested area range
+  coverage: {
+    applies: filter => filter.minCoverage != null || filter.maxCoverage != null,
+    matches: (p, filter) => {
+      const coverage = buildTechnicalSpecs(p).coverage;
+      return Boolean(coverage) &&
+        (filter.minCoverage == null || coverage.max >= filter.minCoverage) &&
+        (filter.maxCoverage == null || coverage.min <= filter.maxCoverage);
+    }
+  },
+  // Blank text has no terms to match, so it filters nothing out
+  text: {
+    applies: filter => Boolean(filter.text?.trim()),
+    matches: (p, filter) => textFilterMatches(filter).has(p)
+  }
+};
+
+// Free-text filters run one search per filter object, not one per product
+const textFilterCache = new WeakMap();
+
+function textFilterMatches(filter) {
+  if (!textFilterCache.has(filter)) {
+    const hits = search(searchIndex, filter.text, { operator: 'AND', fuzzy: true });
+    textFilterCache.set(filter, new Set(hits.map(hit => productsData[hit.docId])));
+  }
+  return textFilterCache.get(filter);
+}
+
+/**
+ * Test one raw product against a ProductFilter
+ * Fields on the same filter are combined with AND, then the AND, OR and NOT
+ * lists are applied to nested filters.
+ * @param {Object} product - Raw product
+ * @param {Object} filter - ProductFilter input
+ * @param {string} [excludeDimension] - Top-level PRODUCT_FILTERS key to ignore
+ * @returns {boolean}
+ */
+function matchesFilter(product, filter, excludeDimension) {
+  const fieldsMatch = Object.entries(PRODUCT_FILTERS).every(([dimension, { applies, matches }]) =>
+    dimension === excludeDimension || !applies(filter) || matches(product, filter)
+  );
+  return fieldsMatch &&
+    (!filter.AND || filter.AND.every(sub => matchesFilter(product, sub))) &&
+    (!filter.OR || filter.OR.length === 0 || filter.OR.some(sub => matchesFilter(product, sub))) &&
+    (!filter.NOT || !filter.NOT.some(sub => matchesFilter(product, sub)));
+}
+
+/**
+ * Apply a ProductFilter to raw products
+ * @param {Array} products - Raw products
+ * @param {Object} [filter] - ProductFilter input
+ * @param {string} [excludeDimension] - PRODUCT_FILTERS key to ignore
+ * @returns {Array} Matching products, in their original order
+ */
+function filterProducts(products, filter, excludeDimension) {
+  if (!filter) return [...products];
+  return products.filter(p => matchesFilter(p, filter, excludeDimension));
+}
+
+// Faceted search
+const WATTAGE_BUCKETS = [
+  { value: 'under-500', label: 'Under 500W', min: 0, max: 499 },
+  { value: '500-999', label: '500W - 999W', min: 500, max: 999 },
+  { value: '1000-1499', label: '1000W - 1499W', min: 1000, max: 1499 },
+  { value: '1500-1999', label: '1500W - 1999W', min: 1500, max: 1999 },
+  { value: '2000-plus', label: '2000W and above', min: 2000, max: null }
+];
+
+// Bounds in the exchange-rate base currency; priceBuckets() converts and labels them per request
+const PRICE_BUCKETS = [
+  { value: 'under-200', min: 0, max: 199.99 },
+  { value: '200-399', min: 200, max: 399.99 },
+  { value: '400-599', min: 400, max: 599.99 },
+  { value: '600-plus', min: 600, max: null }
+];
+
+const inBucket = (value, { min, max }) => value >= min && (max == null || value <= max);
+
+/**
+ * Price buckets in a currency, labelled for the price display mode
+ * @param {string} currency - CurrencyCode for the bounds and labels
+ * @param {string} [priceDisplay] - INC_VAT or EX_VAT
+ * @returns {Array} Buckets such as { value: 'under-200', label: 'Under £200 inc. VAT', min: 0, max: 199.99 }
+ */
+function priceBuckets(currency, priceDisplay) {
+  const { format } = new Intl.NumberFormat('en-GB', {
+    style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 0
+  });
+  const convert = amount => convertAmount(amount, exchangeRates.base, currency);
+  const vat = priceDisplay === 'EX_VAT' ? 'ex. VAT' : 'inc. VAT';
+
+  return PRICE_BUCKETS.map(({ value, min, max }) => {
+    const bucket = { value, min: convert(min), max: max == null ? null : convert(max) };
+    if (bucket.min === 0) return { ...bucket, label: `Under ${format(Math.round(bucket.max))} ${vat}` };
+    if (bucket.max == null) return { ...bucket, label: `${format(bucket.min)} and above ${vat}` };
+    return { ...bucket, label: `${format(bucket.min)} - ${format(Math.floor(bucket.max))} ${vat}` };
+  });
+}
+
+// Each facet names the filter dimension it leaves out and the bucket(s) a product falls into;
+// values() gets { filter, currency, ranges } for facets whose buckets depend on the request
+const FACETS = [
+  { field: 'CATEGORY', dimension: 'category', values: p => [p.category] },
+  {
+    field: 'WATTAGE',
+    dimension: 'wattage',
+    ranges: WATTAGE_BUCKETS,
+    values: p => WATTAGE_BUCKETS.filter(bucket => inBucket(getProductWattage(p), bucket)).map(b => b.value)
+  },
+  {
+    // Every bucket the product's price range overlaps, exactly as filtering by that bucket would match it
+    field: 'PRICE',
+    dimension: 'price',
+    ranges: ({ filter, currency }) => priceBuckets(currency, filter?.priceDisplay),
+    values: (p, { filter, currency, ranges }) => ranges
+      .filter(bucket => PRODUCT_FILTERS.price.matches(p, {
+        priceDisplay: filter?.priceDisplay, currency, minPrice: bucket.min, maxPrice: bucket.max
+      }))
+      .map(bucket => bucket.value)
+  },
+  { field: 'MOUNTING', dimension: 'mounting', values: p => [getProductMounting(p)] },
+  { field: 'IP_RATING', dimension: 'ipRating', values: p => [buildTechnicalSpecs(p).ipRating?.code] },
+  {
+    field: 'ENERGY_RATING',
+    dimension: 'efficiency',
+    values: p => [getProductEfficiency(p)?.match(/\b[A-G]\+*/)?.[0]]
+  }
+];
+
+/**
+ * Count products per facet bucket for the current filter
+ * Each facet is counted against the filter with its own dimension removed
+ * (disjunctive faceting), so selecting a bucket never hides its siblings.
+ * @param {Array} products - Raw products
+ * @param {Object} [filter] - ProductFilter input
+ * @param {string} [currency] - CurrencyCode for price buckets, defaults to the exchange-rate base
+ * @returns {Object} ProductFacets
+ */
+function buildProductFacets(products, filter, currency = exchangeRates.base) {
+  const facets = FACETS.map(facet => {
+    const ranges = typeof facet.ranges === 'function' ? facet.ranges({ filter, currency }) : facet.ranges;
+    const counts = new Map();
+    filterProducts(products, filter, facet.dimension).forEach(p => {
+      new Set(facet.values(p, { filter, currency, ranges })).forEach(value => {
+        if (value != null) counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+
+    const buckets = ranges
+      ? ranges.map(({ value, label, min, max }) => ({ value, label, min, max, count: counts.get(value) || 0 }))
+      : [...counts]
+        .map(([value, count]) => ({ value: String(value), label: String(value), count, min: null, max: null }))
+        .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+
+    return { field: facet.field, buckets };
+  });
+
+  return { totalCount: filterProducts(products, filter).length, facets };
+}
+
+// Product sorting
+const SORT_KEYS = {
+  PRICE: (product, { priceDisplay }) => displayPrice(getProductPrice(product), product, priceDisplay),
+  WATTAGE: getProductWattage,
+  NAME: product => product.name?.toLowerCase() || null,
+  EXTRACTED_AT: product => (product.extractedAt ? Date.parse(product.extractedAt) : null),
+  COVERAGE: product => parseRange(getProductCoverage(product), 'm²')?.max ?? null,
+  EFFICIENCY: product => efficiencyScore(getProductEfficiency(product))
+};
+
+/**
+ * Rank an energy rating such as "A++ Energy Rating" (higher is better)
+ * @param {string} efficiency - Scraped efficiency text
+ * @returns {number|null}
+ */
+function efficiencyScore(efficiency) {
+  const match = String(efficiency || '').match(/\b([A-G])(\+*)/);
+  if (!match) return null;
+  return ('G'.charCodeAt(0) - match[1].charCodeAt(0)) * 10 + match[2].length;
+}
+
+/**
+ * Order raw products by one or more sort keys, breaking ties on id
+ * Products without a value for a key always sort after those with one.
+ * @param {Array} products - Raw products to order
+ * @param {Array} [sort] - ProductSort inputs, applied in order
+ * @returns {Array} A new, sorted array
+ */
+function sortProducts(products, sort) {
+  if (!sort || sort.length === 0) {
+    return products;
+  }
+
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  const keyed = products.map(product => ({
+    product,
+    keys: sort.map(entry => SORT_KEYS[entry.field](product, entry))
+  }));
+
+  keyed.sort((a, b) => {
+    for (let i = 0; i < sort.length; i++) {
+      const left = a.keys[i];
+      const right = b.keys[i];
+      if (left === right) continue;
+      if (left == null) return 1;
+      if (right == null) return -1;
+      const result = compare(left, right);
+      if (result !== 0) return sort[i].direction === 'DESC' ? -result : result;
+    }
+    return compare(a.product.id, b.product.id);
+  });
+
+  return keyed.map(entry => entry.product);
+}
+
+// Relay-style cursor pagination
+const DEFAULT_PAGE_SIZE = 20;
+const CURSOR_PREFIX = 'product:';
+
+/**
+ * Encode a list offset as an opaque cursor
+ * @param {number} offset - Zero-based position in the result list
+ * @returns {string}
+ */
+function encodeCursor(offset) {
+  return Buffer.from(`${CURSOR_PREFIX}${offset}`).toString('base64');
+}
+
+/**
+ * Decode an opaque cursor back to a list offset
+ * @param {string} cursor - Cursor previously returned in an edge
+ * @returns {number}
+ */
+function decodeCursor(cursor) {
+  const decoded = Buffer.from(cursor, 'base64').toString('utf8');
+  const offset = Number(decoded.slice(CURSOR_PREFIX.length));
+  if (!decoded.startsWith(CURSOR_PREFIX) || !Number.isInteger(offset) || offset < 0) {
+    throw badUserInput(`Invalid cursor: ${cursor}`);
+  }
+  return offset;
+}
+
+/**
+ * Slice a list of raw products (or search hits) into a connection
+ * @param {Array} items - Raw products, already filtered and ordered
+ * @param {Object} args - Connection arguments (first, after, last, before)
+ * @param {Function} [toNode] - Maps a raw item to the edge node
+ * @returns {Object} ProductConnection
+ */
+function connectionFromArray(items, { first, after, last, before } = {}, toNode = transformProduct) {
+  if ((first != null && first < 0) || (last != null && last < 0)) {
+    throw badUserInput('Arguments "first" and "last" must be non-negative');
+  }
+  if (first == null && last == null) {
+    first = DEFAULT_PAGE_SIZE;
+  }
+
+  let start = 0;
+  let end = items.length;
+  if (after != null) start = Math.max(start, decodeCursor(after) + 1);
+  if (before != null) end = Math.min(end, decodeCursor(before));
+  if (first != null) end = Math.min(end, start + first);
+  if (last != null) start = Math.max(start, end - last);
+
+  const edges = items.slice(start, Math.max(start, end)).map((item, index) => ({
+    cursor: encodeCursor(start + index),
+    node: toNode(item)
+  }));
+
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage: start + edges.length < items.length,
+      hasPreviousPage: start > 0,
+      startCursor: edges[0]?.cursor || null,
+      endCursor: edges[edges.length - 1]?.cursor || null
+    },
+    totalCount: items.length
+  };
+}
+
+// Categories
+function slugify(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Build categories from the scraper metadata, adding any category that only
+ * appears on products (legacy and sample data have no category metadata)
+ * @returns {Array} Categories in name order
+ */
+function buildCategories() {
+  const counts = new Map();
+  productsData.forEach(p => {
+    const slug = slugify(p.category);
+    counts.set(slug, (counts.get(slug) || 0) + 1);
+  });
+
+  const categories = new Map();
+  (productsMetadata.categories || []).forEach(category => {
+    categories.set(slugify(category.name), {
+      name: category.name,
+      description: category.description || null,
+      powerRange: parseRange(category.powerRange, 'W')
+    });
+  });
+  productsData.forEach(p => {
+    const slug = slugify(p.category);
+    if (!categories.has(slug)) {
+      categories.set(slug, {
+        name: p.category,
+        description: p.categoryDescription || null,
+        powerRange: null
+      });
+    }
+  });
+
+  return [...categories]
+    .map(([slug, category]) => ({ slug, ...category, productCount: counts.get(slug) || 0 }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Find a category by slug or name, ignoring case ("panel-heaters", "Panel Heaters")
+function findCategory(slugOrName) {
+  const slug = slugify(slugOrName);
+  return buildCategories().find(category => category.slug === slug) || null;
+}
+
+// Topics and navigation
+function normalizeTopicPath(topicPath) {
+  const segments = String(topicPath || '').toLowerCase().split('/').filter(Boolean);
+  return `/${segments.join('/')}`;
+}
+
+// Topic paths for a product, falling back to its crystallizePath or the folder of its path
+function getProductTopics(product) {
+  const topics = product.topics?.length
+    ? product.topics
+    : [product.crystallizePath || path.posix.dirname(product.path || '/')];
+  return [...new Set(topics.map(normalizeTopicPath))].filter(topic => topic !== '/');
+}
+
+// Display name for a topic segment, using the category name where one matches
+function topicName(segment) {
+  const category = (productsMetadata.categories || []).find(c => slugify(c.name) === segment);
+  if (category) return category.name;
+  return segment.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Build the nested topic hierarchy with product counts at every level
+ * A product is counted once per node, however many of its topics fall under it.
+ * @param {Array} products - Raw products
+ * @returns {Array} Root TopicNodes
+ */
+function buildTopicTree(products) {
+  const nodes = new Map();
+  const roots = [];
+
+  const ensureNode = topicPath => {
+    if (nodes.has(topicPath)) return nodes.get(topicPath);
+    const segments = topicPath.split('/').filter(Boolean);
+    const node = {
+      path: topicPath,
+      name: topicName(segments[segments.length - 1]),
+      depth: segments.length,
+      productIds: new Set(),
+      children: []
+    };
+    nodes.set(topicPath, node);
+    if (segments.length === 1) {
+      roots.push(node);
+    } else {
+      ensureNode(`/${segments.slice(0, -1).join('/')}`).children.push(node);
+    }
+    return node;
+  };
+
+  products.forEach((product, index) => {
+    getProductTopics(product).forEach(topic => {
+      const segments = topic.split('/').filter(Boolean);
+      segments.forEach((segment, depth) => {
+        ensureNode(`/${segments.slice(0, depth + 1).join('/')}`).productIds.add(index);
+      });
+    });
+  });
+
+  const finalize = node => ({
+    path: node.path,
+    name: node.name,
+    depth: node.depth,
+    productCount: node.productIds.size,
+    children: node.children
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(finalize)
+  });
+  return roots.sort((a, b) => a.name.localeCompare(b.name)).map(finalize);
+}
+
+// Breadcrumb trail from the product's crystallizePath (or first topic) down to the product itself
+function buildBreadcrumbs(product) {
+  const primary = product.crystallizePath
+    ? normalizeTopicPath(product.crystallizePath)
+    : getProductTopics(product)[0];
+  const segments = (primary || '').split('/').filter(Boolean);
+  const crumbs = segments.map((segment, depth) => ({
+    name: topicName(segment),
+    path: `/${segments.slice(0, depth + 1).join('/')}`
+  }));
+  return [...crumbs, { name: product.name, path: product.path }];
+}
+
+// Product comparison, built on the transformed (normalised) product fields
+const MAX_COMPARED_PRODUCTS = 4;
+
+const COMPARISON_ATTRIBUTES = [
+  {
+    attribute: 'wattage',
+    label: 'Wattage',
+    preference: 'NONE',
+    display: p => `${p.specifications.wattage}W`,
+    value: p => p.specifications.wattage
+  },
+  {
+    attribute: 'dimensions',
+    label: 'Dimensions',
+    preference: 'NONE',
+    display: p => p.specifications.dimensions,
+    value: () => null
+  },
+  {
+    attribute: 'weight',
+    label: 'Weight',
+    preference: 'NONE',
+    display: p => `${p.specifications.weight} kg`,
+    value: p => p.specifications.weight
+  },
+  {
+    attribute: 'coverage',
+    label: 'Coverage',
+    preference: 'HIGHER',
+    display: p => p.specifications.coverage,
+    value: p => parseRange(p.specifications.coverage, 'm²')?.max ?? null
+  },
+  {
+    attribute: 'mounting',
+    label: 'Mounting',
+    preference: 'NONE',
+    display: p => p.specifications.mounting,
+    value: () => null
+  },
+  {
+    attribute: 'efficiency',
+    label: 'Energy efficiency',
+    preference: 'HIGHER',
+    // The scraped rating, as the displayed one defaults to A+ for unrated products
+    display: p => getProductEfficiency(productsById.get(p.id)),
+    value: p => efficiencyScore(getProductEfficiency(productsById.get(p.id)))
+  },
+  {
+    // More protection against solids and water ranks higher
+    attribute: 'ipRating',
+    label: 'IP rating',
+    preference: 'HIGHER',
+    display: p => p.technicalSpecs.ipRating?.code || null,
+    value: p => (p.technicalSpecs.ipRating
+      ? (p.technicalSpecs.ipRating.solids || 0) * 10 + (p.technicalSpecs.ipRating.liquids || 0)
+      : null)
+  },
+  {
+    attribute: 'price',
+    label: 'Price',
+    preference: 'LOWER',
+    display: (p, { priceDisplay }) =>
+      `${displayPrice(p.price, p, priceDisplay).toFixed(2)} ${p.currency}${priceDisplay === 'EX_VAT' ? ' ex VAT' : ''}`,
+    value: (p, { priceDisplay }) => displayPrice(p.price, p, priceDisplay)
+  },
+  {
+    attribute: 'warranty',
+    label: 'Warranty',
+    preference: 'HIGHER',
+    display: p => p.warranty,
+    value: p => {
+      const years = String(p.warranty || '').match(/(\d+)\s*years?/i);
+      return years ? parseInt(years[1], 10) : null;
+    }
+  }
+];
+
+/**
+ * Build a row-per-attribute comparison matrix
+ * @param {Array} products - Transformed products, in display order
+ * @param {Object} [options] - priceDisplay for the price row
+ * @returns {Object} ProductComparison
+ */
+function compareProducts(products, options = {}) {
+  const rows = COMPARISON_ATTRIBUTES.map(({ attribute, label, preference, display, value }) => {
+    const values = products.map(p => ({
+      productId: p.id,
+      display: display(p, options) ?? null,
+      value: value(p, options)
+    }));
+    const differs = new Set(values.map(v => v.display)).size > 1;
+
+    let bestProductIds = [];
+    const ranked = values.filter(v => v.value != null);
+    if (preference !== 'NONE' && differs && ranked.length > 0) {
+      const pickBest = preference === 'LOWER' ? Math.min : Math.max;
+      const best = pickBest(...ranked.map(v => v.value));
+      // No winner when every product that has a value ties
+      if (ranked.some(v => v.value !== best)) {
+        bestProductIds = ranked.filter(v => v.value === best).map(v => v.productId);
+      }
+    }
+
+    return { attribute, label, values, differs, preference, bestProductIds };
+  });
+
+  return { products, rows };
+}
+
+// Catalog history
+function parseSnapshotId(value) {
+  if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+    throw badUserInput(`Invalid SnapshotId: ${value}`);
+  }
+  return value;
+}
+
+function loadSnapshotCatalog(id) {
+  if (!catalogSnapshots) {
+    throw badUserInput('Catalog snapshots are not enabled on this server');
+  }
+  const snapshot = catalogSnapshots.load(id);
+  if (!snapshot) {
+    throw badUserInput(`No catalog snapshot for ${id}`);
+  }
+  return { id: snapshot.id, products: snapshot.catalog.products };
+}
+
+// What each snapshot remembers about a product for priceHistory and stockHistory
+function snapshotSummary(product) {
+  return {
+    price: getProductPrice(product),
+    currency: getProductCurrency(product),
+    stock: product.variants.reduce((sum, variant) => sum + (variant.stock ?? 0), 0),
+    availability: getProductAvailability(product)
+  };
+}
+
+/**
+ * A product's history across snapshots, oldest first
+ * Only snapshots where the picked values changed are included, so each point
+ * marks the scrape at which a new value first appeared.
+ * @param {string} productId - Product id
+ * @param {Function} pick - Picks the values to track from a snapshot summary
+ * @returns {Array} Points of { scrapedAt, ...picked values }
+ */
+function productHistory(productId, pick) {
+  if (!catalogSnapshots) return [];
+  const points = [];
+  let previous = null;
+  catalogSnapshots.list().forEach(snapshot => {
+    const summary = snapshot.products[productId];
+    if (!summary) {
+      previous = null;
+      return;
+    }
+    const values = pick(summary);
+    const key = JSON.stringify(values);
+    if (key !== previous) points.push({ scrapedAt: snapshot.scrapedAt, ...values });
+    previous = key;
+  });
+  return points;
+}
+
+// Running costs
+/**
+ * Estimate what a heater costs to run from its specified wattage
+ * Missing inputs fall back to RUNNING_COST_DEFAULTS.
+ * @param {Object} product - Transformed product
+ * @param {Object} [input] - RunningCostInput
+ * @returns {Object} RunningCost in the product currency
+ */
+function estimateRunningCost(product, input = {}) {
+  const settings = { ...RUNNING_COST_DEFAULTS };
+  Object.entries(input || {}).forEach(([key, value]) => {
+    if (value != null) settings[key] = value;
+  });
+
+  const { pricePerKwh, hoursPerDay, daysPerYear, dutyCycle } = settings;
+  if (pricePerKwh < 0) throw badUserInput('pricePerKwh cannot be negative');
+  if (hoursPerDay < 0 || hoursPerDay > 24) throw badUserInput('hoursPerDay must be between 0 and 24');
+  if (daysPerYear < 0 || daysPerYear > 366) throw badUserInput('daysPerYear must be between 0 and 366');
+  if (dutyCycle < 0 || dutyCycle > 1) throw badUserInput('dutyCycle must be between 0 and 1');
+
+  const wattage = product.specifications.wattage;
+  const hourly = (wattage / 1000) * dutyCycle * pricePerKwh;
+  const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+  return {
+    wattage,
+    ...settings,
+    hourly: round(hourly, 4),
+    daily: round(hourly * hoursPerDay, 2),
+    annual: round(hourly * hoursPerDay * daysPerYear, 2),
+    currency: product.currency
+  };
+}
+
+// Recommendations
+// 1 when equal, falling towards 0 as the values drift apart
+function proximity(a, b) {
+  if (!a || !b) return 0;
+  return Math.max(0, 1 - Math.abs(a - b) / Math.max(a, b));
+}
+
+// Lowercased SEO keywords and feature bullet points, for overlap scoring
+function productTags(product) {
+  const featuresHtml = product.components?.features?.content?.html || product.information?.features || '';
+  const features = [...featuresHtml.matchAll(/<li>(.*?)<\/li>/gi)].map(match => match[1]);
+  return new Set([...(product.seo?.keywords || []), ...features].map(tag => tag.trim().toLowerCase()));
+}
 
 /**
- * Load and validate product data from enhanced scraper
- * @returns {Promise<void>}
+ * Score how alike two products are, from 0 to 1, using SIMILARITY_WEIGHTS
+ * @param {Object} a - Raw product
+ * @param {Object} b - Raw product
+ * @returns {number}
  */
-async function loadProductData() {
-  try {
-    // Try to load enhanced scraper data first
-    const enhancedDataPath = path.join(__dirname, '../heatshop-scraper/crystallize-products.json');
-    const fallbackDataPath = path.join(__dirname, 'crystallize-products.json');
-    
-    let rawData;
-    
-    try {
-      rawData = fs.readFileSync(enhancedDataPath, 'utf8');
-      console.log('📦 Loading enhanced scraper data from heatshop-scraper/');
-    } catch (error) {
-      console.log('📦 Enhanced data not found, trying fallback location...');
-      try {
-        rawData = fs.readFileSync(fallbackDataPath, 'utf8');
-        console.log('📦 Loading fallback data from local file');
-      } catch (fallbackError) {
-        console.log('⚠️  No product data found, generating sample data');
-        productsData = generateSampleProducts();
-        productsMetadata = {
-          scrapedAt: new Date().toISOString(),
-          totalProducts: productsData.length,
-          source: 'sample_data'
-        };
-        return;
-      }
-    }
-    
-    const parsedData = JSON.parse(rawData);
-    
-    // Handle both old and new data structures
-    if (parsedData.products && parsedData.metadata) {
-      // New enhanced format from scraper
-      productsData = parsedData.products;
-      productsMetadata = parsedData.metadata;
-      console.log(`✅ Loaded ${productsData.length} products from enhanced scraper data`);
-      console.log(`📊 Scraped at: ${productsMetadata.scrapedAt}`);
-      console.log(`🏷️  Categories: ${productsMetadata.categories?.length || 0}`);
-    } else if (Array.isArray(parsedData)) {
-      // Legacy format - array of products
-      productsData = parsedData;
-      productsMetadata = {
-        scrapedAt: new Date().toISOString(),
-        totalProducts: productsData.length,
-        source: 'legacy_data'
-      };
-      console.log(`✅ Loaded ${productsData.length} products from legacy format`);
-    } else {
-      console.log('⚠️  Invalid data format, generating sample data');
-      productsData = generateSampleProducts();
-      productsMetadata = {
-        scrapedAt: new Date().toISOString(),
-        totalProducts: productsData.length,
-        source: 'sample_data'
-      };
-    }
-    
-    // Validate product data structure
-    if (productsData.length === 0) {
-      console.log('⚠️  No products found, generating sample data');
-      productsData = generateSampleProducts();
-    }
-    
-    console.log(`🎯 Data validation: ${productsData.length} products ready for GraphQL API`);
-    
-  } catch (error) {
-    console.error('❌ Failed to load product data:', error.message);
-    console.log('🔄 Falling back to sample product data...');
-    productsData = generateSampleProducts();
-    productsMetadata = {
-      scrapedAt: new Date().toISOString(),
-      totalProducts: productsData.length,
-      source: 'sample_data',
-      error: error.message
-    };
-  }
+function similarityScore(a, b) {
+  const tagsA = productTags(a);
+  const tagsB = productTags(b);
+  const shared = [...tagsA].filter(tag => tagsB.has(tag)).length;
+  const union = new Set([...tagsA, ...tagsB]).size;
+
+  const components = {
+    category: a.category === b.category ? 1 : 0,
+    wattage: proximity(getProductWattage(a), getProductWattage(b)),
+    price: proximity(getProductPrice(a), getProductPrice(b)),
+    features: union ? shared / union : 0
+  };
+  const totalWeight = Object.values(SIMILARITY_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight <= 0) return 0;
+  return Object.entries(components)
+    .reduce((sum, [key, value]) => sum + (SIMILARITY_WEIGHTS[key] || 0) * value, 0) / totalWeight;
 }
 
-// GraphQL Schema Definition
-const typeDefs = `#graphql
-  type Product {
-    id: ID!
-    name: String!
-    path: String!
-    category: String!
-    description: Description!
-    specifications: Specifications!
-    features: Features!
-    images: [Image!]!
-    variants: [ProductVariant!]!
-    price: Float!
-    currency: String!
-    sourceUrl: String
-    extractedAt: String
-    warranty: String
-  }
+// Highest scoring other products, excluding the product itself and its duplicates
+function findSimilarProducts(product, limit) {
+  return productsData
+    .filter(p => p.id !== product.id)
+    .map(p => ({ product: p, score: similarityScore(product, p) }))
+    .sort((a, b) => b.score - a.score || a.product.id.localeCompare(b.product.id))
+    .slice(0, Math.max(limit, 0))
+    .map(({ product: match }) => match);
+}
 
-  type Description {
-    html: String!
-    plainText: String!
-  }
+// Room heating calculator
+// Infrared heat needed per cubic metre of room, by insulation level
+const WATTS_PER_CUBIC_METRE = {
+  POOR: 45,
+  AVERAGE: 35,
+  GOOD: 25,
+  EXCELLENT: 20
+};
 
-  type Specifications {
-    wattage: Int!
-    dimensions: String!
-    weight: Float!
-    coverage: String
-    mounting: String
-    efficiency: String
-  }
+// Comfort temperature and use adjustments by room type
+const ROOM_TYPE_FACTORS = {
+  LIVING_ROOM: 1.0,
+  BEDROOM: 0.9,
+  KITCHEN: 0.85,
+  BATHROOM: 1.2,
+  OFFICE: 1.0,
+  CONSERVATORY: 1.4,
+  WORKSHOP: 1.3,
+  GARAGE: 1.3
+};
 
-  type Features {
-    html: String!
-    plainText: String!
-  }
+const MAX_HEATERS_PER_ROOM = 6;
 
-  type Image {
-    url: String!
-    altText: String!
+/**
+ * Work out the wattage a room needs, keeping each step for display
+ * @param {Object} room - RoomInput
+ * @returns {Object} HeatingCalculation
+ */
+function calculateHeatingRequirement({ length, width, ceilingHeight, insulation, roomType }) {
+  if (!(length > 0) || !(width > 0) || !(ceilingHeight > 0)) {
+    throw badUserInput('Room length, width and ceiling height must be greater than zero');
   }
 
-  type ProductVariant {
-    id: ID!
-    name: String!
-    sku: String!
-    price: Float!
-    currency: String!
-    stock: Int!
-    isDefault: Boolean!
+  const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+  const area = round(length * width);
+  const volume = round(area * ceilingHeight);
+  const wattsPerCubicMetre = WATTS_PER_CUBIC_METRE[insulation];
+  const roomTypeFactor = ROOM_TYPE_FACTORS[roomType];
+  const requiredWattage = Math.ceil((volume * wattsPerCubicMetre * roomTypeFactor) / 10) * 10;
+  // Recommendations are sized against requiredWattage, so it cannot be 0
+  if (requiredWattage === 0) {
+    throw badUserInput(`Room is too small to heat: ${length}m x ${width}m rounds to ${area}m²`);
   }
 
-  input ProductFilter {
-    category: String
-    minPrice: Float
-    maxPrice: Float
-    minWattage: Int
-    maxWattage: Int
+  return {
+    area,
+    volume,
+    wattsPerCubicMetre,
+    roomTypeFactor,
+    requiredWattage,
+    steps: [
+      `Floor area: ${length}m x ${width}m = ${area}m²`,
+      `Room volume: ${area}m² x ${ceilingHeight}m = ${volume}m³`,
+      `Heat demand for ${insulation.toLowerCase()} insulation: ${volume}m³ x ${wattsPerCubicMetre}W/m³ = ${round(volume * wattsPerCubicMetre, 0)}W`,
+      `Room type adjustment (${roomType.toLowerCase().replace(/_/g, ' ')}): x ${roomTypeFactor}`,
+      `Required output (rounded up to 10W): ${requiredWattage}W`
+    ]
+  };
+}
+
+/**
+ * Rank heaters for a room by how few units are needed and how closely they fit
+ * Quantity is the larger of what the wattage and the parsed coverage call for.
+ * @param {Object} calculation - Result of calculateHeatingRequirement()
+ * @param {number} limit - Maximum number of recommendations
+ * @param {string} [priceDisplay] - INC_VAT or EX_VAT for totalPrice
+ * @returns {Array} HeaterRecommendations, best first
+ */
+function recommendHeaters(calculation, limit, priceDisplay) {
+  const seen = new Set();
+  return productsData
+    .filter(p => !seen.has(p.id) && seen.add(p.id))
+    .map(p => {
+      const product = transformProduct(p);
+      const wattage = product.specifications.wattage;
+      const coverage = product.technicalSpecs.coverage || parseRange(product.specifications.coverage, 'm²');
+      const byWattage = wattage > 0 ? Math.ceil(calculation.requiredWattage / wattage) : null;
+      const byCoverage = coverage?.max > 0 ? Math.ceil(calculation.area / coverage.max) : null;
+      if (byWattage == null && byCoverage == null) return null;
+
+      const quantity = Math.max(byWattage || 0, byCoverage || 0);
+      const totalWattage = quantity * wattage;
+      return {
+        product,
+        quantity,
+        totalWattage,
+        coverageMatched: coverage != null && calculation.area <= coverage.max * quantity,
+        oversizePercent: Math.round((totalWattage / calculation.requiredWattage - 1) * 1000) / 10,
+        totalPrice: Math.round(quantity * displayPrice(product.price, product, priceDisplay) * 100) / 100
+      };
+    })
+    .filter(rec => rec && rec.quantity <= MAX_HEATERS_PER_ROOM && rec.totalWattage >= calculation.requiredWattage)
+    .sort((a, b) => a.quantity - b.quantity ||
+      a.oversizePercent - b.oversizePercent ||
+      a.totalPrice - b.totalPrice)
+    .slice(0, Math.max(limit, 0));
+}
+
+function formatExchangeRates(table) {
+  return {
+    base: table.base,
+    updatedAt: table.updatedAt,
+    rates: Object.entries(table.rates).map(([currency, rate]) => ({ currency, rate }))
+  };
+}
+
+// Raw product of each transformed variant, so the price resolvers can work out VAT
+// from the product's category and pricing without putting them on the variant
+const variantProducts = new WeakMap();
+
+// Transform a scraped variant to the ProductVariant schema
+function transformVariant(product, variant, index) {
+  const transformed = {
+    id: `${product.id}-variant-${index}`,
+    name: variant.name,
+    sku: variant.sku,
+    price: variant.price,
+    currency: getVariantCurrency(variant),
+    // Only a missing stock gets the default; a scraped 0 means sold out
+    stock: variant.stock ?? 10,
+    isDefault: variant.isDefault || index === 0,
+    attributes: (variant.attributes || []).map(attr => ({
+      attribute: attr.attribute,
+      value: String(attr.value)
+    }))
+  };
+  variantProducts.set(transformed, product);
+  return transformed;
+}
+
+/**
+ * Group the distinct attribute values offered across a product's variants
+ * @param {Array} variants - Scraped variants
+ * @returns {Array} Options in first-seen order, e.g. [{ attribute: 'wattage', values: ['600W', '900W'] }]
+ */
+function buildOptionMatrix(variants) {
+  const options = new Map();
+  variants.forEach(variant => {
+    (variant.attributes || []).forEach(({ attribute, value }) => {
+      if (!options.has(attribute)) {
+        options.set(attribute, new Set());
+      }
+      options.get(attribute).add(String(value));
+    });
+  });
+  return [...options].map(([attribute, values]) => ({ attribute, values: [...values] }));
+}
+
+// Admin product edits
+// Read the stored version, so edits never start from a stale snapshot
+async function requireProduct(id) {
+  const product = await catalogSource.get(id);
+  if (!product) {
+    throw badUserInput(`Product ${id} not found`);
   }
+  return product;
+}
 
-  type APIMetadata {
-    scrapedAt: String!
-    totalProducts: Int!
-    source: String!
-    categories: [String!]!
+/**
+ * Check an edit against the stored product, then save it
+ * @param {Object} existing - Stored raw product
+ * @param {Object} edit - Field-level edit (see product-edits.js)
+ * @returns {Promise<Object>} The edited product, transformed
+ */
+async function saveProductEdit(existing, edit) {
+  const product = applyProductEdit(existing, edit);
+  validateProduct(product, existing);
+  await commitProductEdit(existing.id, edit);
+  return transformProduct(product);
+}
+
+/**
+ * Check that a raw product can be served, before it is saved
+ * SKUs and paths only have to be unique when they change, since the scraped
+ * data already contains some duplicates.
+ * @param {Object} product - Raw product to save
+ * @param {Object} [previous] - The version it replaces
+ */
+function validateProduct(product, previous) {
+  const problems = [];
+  ['id', 'name', 'path', 'category'].forEach(field => {
+    if (typeof product[field] !== 'string' || !product[field].trim()) {
+      problems.push(`${field} is required`);
+    }
+  });
+
+  const pathOwner = productsByPath.get(normalizeTopicPath(product.path));
+  if (product.path !== previous?.path && pathOwner && pathOwner.id !== product.id) {
+    problems.push(`path ${product.path} already belongs to ${pathOwner.id}`);
   }
 
-  type Query {
-    products(first: Int = 20, filter: ProductFilter): [Product!]!
-    product(id: ID!): Product
-    categories: [String!]!
-    productsByCategory(category: String!): [Product!]!
-    searchProducts(query: String!): [Product!]!
-    productsByPriceRange(minPrice: Float!, maxPrice: Float!): [Product!]!
-    productsByWattage(minWattage: Int!, maxWattage: Int!): [Product!]!
-    metadata: APIMetadata!
-    health: String!
+  if (product.variants.length === 0) {
+    problems.push('at least one variant is required');
   }
-`;
+  const previousSkus = new Set((previous?.variants || []).map(variant => normalizeSku(variant.sku)));
+  const seenSkus = new Set();
+  product.variants.forEach(variant => {
+    const sku = normalizeSku(variant.sku);
+    if (!sku) {
+      problems.push('every variant needs a SKU');
+      return;
+    }
+    if (seenSkus.has(sku)) problems.push(`SKU ${sku} is used twice`);
+    seenSkus.add(sku);
+    const owner = variantsBySku.get(sku);
+    if (owner && owner.product.id !== product.id && !previousSkus.has(sku)) {
+      problems.push(`SKU ${sku} already belongs to ${owner.product.id}`);
+    }
+    if (!String(variant.name || '').trim()) problems.push(`variant ${sku} needs a name`);
+    if (!(Number.isFinite(variant.price) && variant.price >= 0)) problems.push(`variant ${sku} needs a price of zero or more`);
+    if (variant.stock != null && variant.stock < 0) problems.push(`variant ${sku} cannot have negative stock`);
+  });
 
-// GraphQL Resolvers
-const resolvers = {
-  Query: {
-    products: async (parent, { first = 20, filter }) => {
-      let filteredProducts = [...productsData];
-      
-      if (filter) {
-        if (filter.category) {
-          filteredProducts = filteredProducts.filter(p => 
-            p.category.toLowerCase().includes(filter.category.toLowerCase())
-          );
-        }
-        
-        if (filter.minPrice || filter.maxPrice) {
-          filteredProducts = filteredProducts.filter(p => {
-            const price = p.variants[0]?.price || 0;
-            return (!filter.minPrice || price >= filter.minPrice) &&
-                   (!filter.maxPrice || price <= filter.maxPrice);
-          });
-        }
-        
-        if (filter.minWattage || filter.maxWattage) {
-          filteredProducts = filteredProducts.filter(p => {
-            const wattage = p.components?.specifications?.chunks[0]?.wattage || p.specifications?.basic?.wattage || 0;
-            return (!filter.minWattage || wattage >= filter.minWattage) &&
-                   (!filter.maxWattage || wattage <= filter.maxWattage);
-          });
-        }
-      }
-      
-      return filteredProducts.slice(0, first).map(transformProduct);
-    },
+  const wattage = product.specifications?.basic?.wattage;
+  if (wattage != null && wattage < 0) problems.push('wattage cannot be negative');
+  getProductImages(product).forEach(image => {
+    if (!String(image.url || '').trim()) problems.push('every image needs a URL');
+  });
 
-    product: async (parent, { id }) => {
-      const product = productsData.find(p => p.id === id);
-      return product ? transformProduct(product) : null;
-    },
+  if (problems.length > 0) {
+    throw badUserInput(`Invalid product: ${problems.join('; ')}`);
+  }
+  // Anything else transformProduct cannot handle would break every query returning this product
+  transformProduct(product);
+}
 
-    categories: () => {
-      const categories = [...new Set(productsData.map(p => p.category))];
-      return categories.sort();
-    },
+/**
+ * Audit SEO metadata across the catalog
+ * Flags missing or overlong titles and descriptions, and products whose
+ * keyword set is identical to another product's.
+ * @param {Array} products - Raw products to audit
+ * @param {Object} limits - maxTitleLength and maxDescriptionLength
+ * @returns {Object} SeoAudit
+ */
+function auditSeo(products, { maxTitleLength, maxDescriptionLength }) {
+  const keywordUsage = new Map();
+  const keywordSets = new Map();
 
-    productsByCategory: async (parent, { category }) => {
-      const products = productsData.filter(p => 
-        p.category.toLowerCase() === category.toLowerCase()
-      );
-      return products.map(transformProduct);
-    },
+  products.forEach(product => {
+    const keywords = [...new Set(getProductSeo(product).keywords.map(k => k.trim().toLowerCase()))];
+    keywords.forEach(keyword => {
+      if (!keywordUsage.has(keyword)) keywordUsage.set(keyword, []);
+      keywordUsage.get(keyword).push(product.id);
+    });
+    if (keywords.length > 0) {
+      const signature = keywords.sort().join('|');
+      if (!keywordSets.has(signature)) keywordSets.set(signature, []);
+      keywordSets.get(signature).push(product.id);
+    }
+  });
 
-    searchProducts: async (parent, { query }) => {
-      const searchTerm = query.toLowerCase();
-      const filteredProducts = productsData.filter(p => {
-        const description = p.components?.description?.content?.plainText || p.information?.description || '';
-        return p.name.toLowerCase().includes(searchTerm) ||
-               description.toLowerCase().includes(searchTerm) ||
-               p.category.toLowerCase().includes(searchTerm);
-      });
-      return filteredProducts.map(transformProduct);
-    },
+  const entries = products.map(product => {
+    const seo = getProductSeo(product);
+    const issues = [];
+    const issue = (type, message, relatedProductIds = []) => issues.push({ type, message, relatedProductIds });
 
-    productsByPriceRange: async (parent, { minPrice, maxPrice }) => {
-      const filteredProducts = productsData.filter(p => {
-        const price = p.variants[0]?.price || 0;
-        return price >= minPrice && price <= maxPrice;
-      });
-      return filteredProducts.map(transformProduct);
-    },
+    if (!seo.title) {
+      issue('MISSING_TITLE', 'SEO title is missing');
+    } else if (seo.title.length > maxTitleLength) {
+      issue('TITLE_TOO_LONG', `SEO title is ${seo.title.length} characters (max ${maxTitleLength})`);
+    }
 
-    productsByWattage: async (parent, { minWattage, maxWattage }) => {
-      const filteredProducts = productsData.filter(p => {
-        const wattage = p.components?.specifications?.chunks[0]?.wattage || p.specifications?.basic?.wattage || 0;
-        return wattage >= minWattage && wattage <= maxWattage;
-      });
-      return filteredProducts.map(transformProduct);
-    },
+    if (!seo.description) {
+      issue('MISSING_DESCRIPTION', 'SEO description is missing');
+    } else if (seo.description.length > maxDescriptionLength) {
+      issue('DESCRIPTION_TOO_LONG', `SEO description is ${seo.description.length} characters (max ${maxDescriptionLength})`);
+    }
 
-    metadata: () => ({
-      scrapedAt: productsMetadata.scrapedAt || new Date().toISOString(),
-      totalProducts: productsData.length,
-      source: productsMetadata.source || 'unknown',
-      categories: [...new Set(productsData.map(p => p.category))].sort()
-    }),
+    const signature = [...new Set(seo.keywords.map(k => k.trim().toLowerCase()))].sort().join('|');
+    const sharedWith = (keywordSets.get(signature) || []).filter(id => id !== product.id);
+    if (signature && sharedWith.length > 0) {
+      issue('DUPLICATE_KEYWORDS', `Keywords are identical to ${sharedWith.length} other product(s)`, sharedWith);
+    }
 
-    health: () => `🚀 Norko GraphQL API is running! ${productsData.length} products loaded.`
-  }
-};
+    return { product: transformProduct(product), issues };
+  }).filter(entry => entry.issues.length > 0);
+
+  const repeatedKeywords = [...keywordUsage]
+    .filter(([, productIds]) => productIds.length > 1)
+    .map(([keyword, productIds]) => ({ keyword, productCount: productIds.length, productIds }))
+    .sort((a, b) => b.productCount - a.productCount || a.keyword.localeCompare(b.keyword));
 
-// Transform scraped product data to GraphQL schema
-function transformProduct(product) {
-  // Handle enhanced scraper data structure
-  const specs = product.components?.specifications?.chunks[0] || product.specifications?.basic || {};
-  const description = product.components?.description?.content || {
-    html: product.information?.description || '<p>High-quality infrared heater.</p>',
-    plainText: product.information?.description?.replace(/<[^>]*>/g, '') || 'High-quality infrared heater.'
-  };
-  const features = product.components?.features?.content || {
-    html: product.information?.features || '<ul><li>Energy efficient heating</li></ul>',
-    plainText: product.information?.features?.replace(/<[^>]*>/g, '') || 'Energy efficient heating'
-  };
-  const images = product.components?.productImages?.images || product.media?.images || [];
-  
   return {
-    id: product.id,
-    name: product.name,
-    path: product.path,
-    category: product.category,
-    description: {
-      html: description.html,
-      plainText: description.plainText
-    },
-    specifications: {
-      wattage: specs.wattage || 0,
-      dimensions: specs.dimensions || 'Unknown',
-      weight: specs.weight || 0,
-      coverage: specs.coverage || product.specifications?.coverage || null,
-      mounting: specs.mounting || 'Wall mounted',
-      efficiency: specs.efficiency || product.specifications?.efficiency || 'A+ Energy Rating'
-    },
-    features: {
-      html: features.html,
-      plainText: features.plainText
-    },
-    images: images.map(img => ({
-      url: img.url,
-      altText: img.altText || img.alt || 'Product image'
-    })),
-    variants: product.variants.map((variant, index) => ({
-      id: `${product.id}-variant-${index}`,
-      name: variant.name,
-      sku: variant.sku,
-      price: variant.price,
-      currency: variant.priceVariants?.[0]?.currency || variant.currency || 'GBP',
-      stock: variant.stock || 10,
-      isDefault: variant.isDefault || index === 0
-    })),
-    price: product.variants[0]?.price || 0,
-    currency: product.variants[0]?.priceVariants?.[0]?.currency || product.variants[0]?.currency || 'GBP',
-    sourceUrl: product.sourceUrl || null,
-    extractedAt: product.extractedAt || null,
-    warranty: product.components?.warranty?.text || product.information?.warranty || '2 year manufacturer warranty'
+    checkedProducts: products.length,
+    productsWithIssues: entries.length,
+    entries,
+    repeatedKeywords
   };
 }
 
@@ -406,6 +2855,10 @@ function generateSampleProducts() {
         sku: 'SAM-600W-WHT',
         price: 299.99,
         priceVariants: [{ currency: 'GBP' }],
+        attributes: [
+          { attribute: 'wattage', value: '600W' },
+          { attribute: 'colour', value: 'White' }
+        ],
         stock: 15,
         isDefault: true
       }, {
@@ -413,6 +2866,10 @@ function generateSampleProducts() {
         sku: 'SAM-600W-BLK',
         price: 299.99,
         priceVariants: [{ currency: 'GBP' }],
+        attributes: [
+          { attribute: 'wattage', value: '600W' },
+          { attribute: 'colour', value: 'Black' }
+        ],
         stock: 8,
         isDefault: false
       }]
@@ -464,6 +2921,10 @@ function generateSampleProducts() {
         sku: 'SAM-900W-WHT',
         price: 449.99,
         priceVariants: [{ currency: 'GBP' }],
+        attributes: [
+          { attribute: 'wattage', value: '900W' },
+          { attribute: 'colour', value: 'White' }
+        ],
         stock: 12,
         isDefault: true
       }]
@@ -471,12 +2932,35 @@ function generateSampleProducts() {
   ];
 }
 
+/**
+ * Guard for admin-only operations
+ * Admins are JWT users with role "admin". The anonymous development user
+ * only counts as one when ALLOW_DEV_ADMIN=true, and never in production.
+ * @param {Object} context - Resolver context from createAuthContext
+ */
+function requireAdmin(context) {
+  const role = context?.user?.role;
+  const isDevelopmentAdmin = role === 'development' && ALLOW_DEV_ADMIN && process.env.NODE_ENV !== 'production';
+  if (role !== 'admin' && !isDevelopmentAdmin) {
+    throw new Error('Admin role required for this operation');
+  }
+}
+
 // Authentication context function
 function createAuthContext({ req }) {
   console.log('🔍 Auth check - AUTH_REQUIRED:', AUTH_REQUIRED, 'type:', typeof AUTH_REQUIRED);
   
   // Skip authentication if not required (default is false for local development)
   if (!AUTH_REQUIRED) {
+    // A valid JWT still identifies its holder, so admin tokens work with authentication off
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    if (token && JWT_SECRET) {
+      try {
+        return { authenticated: true, user: jwt.verify(token, JWT_SECRET) };
+      } catch (error) {
+        console.log('❌ JWT validation failed:', error.message);
+      }
+    }
     console.log('🔓 Authentication disabled - access granted');
     return { authenticated: true, user: { role: 'development' } };
   }
@@ -524,6 +3008,10 @@ function createAuthContext({ req }) {
   throw new Error('Invalid authentication token');
 }
 
+// Error codes whose messages reach clients in production, as the client can act on them
+// (validation covers argument literals, e.g. a malformed SnapshotId written into the query)
+const CLIENT_ERROR_CODES = ['BAD_USER_INPUT', 'GRAPHQL_VALIDATION_FAILED', 'CATALOG_UNAVAILABLE'];
+
 // Rate limiting configuration
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -537,9 +3025,24 @@ const apiLimiter = rateLimit({
 });
 
 // Express Server Setup
-async function startServer() {
+/**
+ * Load the catalog and start serving
+ * @param {Object} [options]
+ * @param {Object} [options.dataSource] - Data source to use instead of the configured one, e.g. a test fixture
+ * @returns {Promise<void>}
+ */
+async function startServer({ dataSource, snapshots } = {}) {
   // Load product data before starting server
-  await loadProductData();
+  await loadProductData(dataSource, {
+    snapshots: snapshots || createSnapshotStore({
+      directory: CATALOG_SNAPSHOTS_DIR,
+      maxSnapshots: SNAPSHOT_RETENTION_COUNT,
+      maxAgeDays: SNAPSHOT_RETENTION_DAYS
+    })
+  });
+  watchCatalogSource();
+  loadExchangeRates();
+  loadVatRates();
   
   const app = express();
   const httpServer = http.createServer(app);
@@ -559,8 +3062,8 @@ async function startServer() {
     formatError: (error) => {
       console.error('GraphQL Error:', error);
       
-      // In production, sanitize error messages
-      if (process.env.NODE_ENV === 'production') {
+      // In production, sanitize error messages; invalid arguments and an unavailable catalog are the client's to know
+      if (process.env.NODE_ENV === 'production' && !CLIENT_ERROR_CODES.includes(error.extensions?.code)) {
         if (error.message.includes('Authorization') || error.message.includes('authentication')) {
           return new Error('Authentication required');
         }
@@ -646,16 +3149,30 @@ async function startServer() {
   // Enhanced health check endpoint
   app.get('/health', (req, res) => {
     res.json({
-      status: 'healthy',
+      status: catalogFallback || lastCatalogReload?.status === 'FAILED' ? 'degraded' : 'healthy',
       products: productsData.length,
       timestamp: new Date().toISOString(),
       authentication: AUTH_REQUIRED ? 'enabled' : 'disabled',
       environment: process.env.NODE_ENV || 'development',
       dataSource: productsMetadata.source || 'unknown',
-      lastScraped: productsMetadata.scrapedAt || 'unknown'
+      lastScraped: productsMetadata.scrapedAt || 'unknown',
+      lastReload: lastCatalogReload,
+      // Set while sample data is served because the configured source failed at startup
+      fallback: catalogFallback
     });
   });
 
+  // Reload the catalog from its data source (admin only), e.g. from the scraper once it finishes
+  app.post('/admin/reload', apiLimiter, async (req, res) => {
+    try {
+      requireAdmin(createAuthContext({ req }));
+    } catch (error) {
+      return res.status(403).json({ error: error.message });
+    }
+    const reload = await reloadCatalog('HTTP');
+    res.status(reload.status === 'OK' ? 200 : 422).json(reload);
+  });
+
   // Root endpoint
   app.get('/', (req, res) => {
     res.json({
@@ -738,16 +3255,25 @@ async function startServer() {
                       <textarea id="query" placeholder="Enter your GraphQL query here...">
 query GetProducts {
   products(first: 3) {
-    name
-    category
-    price
-    currency
-    specifications {
-      wattage
-      dimensions
-      efficiency
+    totalCount
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    edges {
+      node {
+        name
+        category
+        price
+        currency
+        specifications {
+          wattage
+          dimensions
+          efficiency
+        }
+        warranty
+      }
     }
-    warranty
   }
 }</textarea>
                   </div>
@@ -779,38 +3305,69 @@ query GetProducts {
 }\`,
                   products: \`query GetProducts {
   products(first: 3) {
-    name
-    category
-    price
-    currency
-    specifications {
-      wattage
-      dimensions
-      efficiency
+    totalCount
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    edges {
+      node {
+        name
+        category
+        price
+        currency
+        specifications {
+          wattage
+          dimensions
+          efficiency
+        }
+        warranty
+      }
     }
-    warranty
   }
 }\`,
                   categories: \`query GetCategories {
-  categories
+  categories {
+    slug
+    name
+    description
+    productCount
+  }
 }\`,
                   search: \`query SearchHeaters {
-  searchProducts(query: "panel") {
-    name
-    price
-    specifications {
-      wattage
+  searchProducts(query: "glass panel") {
+    totalCount
+    edges {
+      node {
+        score
+        product {
+          name
+          price
+          specifications {
+            wattage
+          }
+        }
+        highlights {
+          field
+          snippet
+        }
+      }
     }
   }
 }\`,
                   filter: \`query FilterByWattage {
   productsByWattage(minWattage: 500, maxWattage: 1000) {
-    name
-    specifications {
-      wattage
-      efficiency
+    totalCount
+    edges {
+      node {
+        name
+        specifications {
+          wattage
+          efficiency
+        }
+        price
+      }
     }
-    price
   }
 }\`
               };
@@ -897,8 +3454,12 @@ query GetProducts {
   });
 }
 
-// Start the server
-startServer().catch(error => {
-  console.error('💥 Server startup failed:', error);
-  process.exit(1);
-});
+// Start the server when run directly; tests require this module and pass their own data source
+if (require.main === module) {
+  startServer().catch(error => {
+    console.error('💥 Server startup failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { startServer, loadProductData, typeDefs, resolvers };
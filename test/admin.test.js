@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ADMIN, buildProduct, createTestApi, tempDir } = require('./helpers');
+const { createJsonFileSource, createMemorySource } = require('../catalog-sources');
+
+const DEVELOPMENT = { authenticated: true, user: { role: 'development' } };
+const RELOAD = 'mutation { reloadCatalog { status } }';
+
+test('admin mutations need an admin, not the open development user', async (t) => {
+  const api = await createTestApi([buildProduct('panel')]);
+  t.after(() => api.stop());
+
+  for (const context of [undefined, DEVELOPMENT]) {
+    const { errors } = await api.query(RELOAD, undefined, context);
+    assert.match(errors?.[0]?.message || '', /Admin role required/);
+  }
+
+  const { data, errors } = await api.query(RELOAD, undefined, ADMIN);
+  assert.ifError(errors);
+  assert.strictEqual(data.reloadCatalog.status, 'OK');
+});
+
+const PRODUCT = `
+  query Product($id: ID!) {
+    product(id: $id) {
+      name
+      price
+      description { plainText }
+      specifications { wattage }
+      technicalSpecs { wattage { value } }
+      variants { sku price stock isDefault }
+      pricing { priceRange { min max } }
+    }
+  }
+`;
+
+test('products and variants can be created, edited and deleted', async (t) => {
+  const api = await createTestApi([buildProduct('panel', { price: 300, wattage: '600 W' })]);
+  t.after(() => api.stop());
+  const run = async (query, variables) => {
+    const result = await api.query(query, variables, ADMIN);
+    assert.ifError(result.errors);
+    return result.data;
+  };
+
+  await run(`mutation {
+    createProduct(input: {
+      name: "New Panel", category: "Panel Heaters",
+      specifications: { wattage: 900 },
+      variants: [{ sku: "NEW-900", name: "900W", price: 450 }]
+    }) { id }
+  }`);
+  const created = (await run(PRODUCT, { id: 'new-panel' })).product;
+  assert.strictEqual(created.price, 450);
+  assert.strictEqual(created.specifications.wattage, 900);
+
+  await run('mutation { updateProduct(id: "panel", input: { description: "Updated", specifications: { wattage: 700 } }) { id } }');
+  const updated = (await run(PRODUCT, { id: 'panel' })).product;
+  assert.strictEqual(updated.description.plainText, 'Updated');
+  assert.strictEqual(updated.specifications.wattage, 700);
+  assert.deepStrictEqual(updated.technicalSpecs.wattage, { value: 700 });
+
+  await run('mutation { upsertVariant(productId: "panel", variant: { sku: "panel-xl", name: "XL", price: 520, isDefault: true }) { id } }');
+  const withVariant = (await run(PRODUCT, { id: 'panel' })).product;
+  assert.deepStrictEqual(withVariant.variants.map(v => [v.sku, v.isDefault]), [['panel-xl', true], ['PANEL-1', false]]);
+  assert.strictEqual(withVariant.price, 520);
+  assert.deepStrictEqual(withVariant.pricing.priceRange, { min: 300, max: 520 });
+
+  await run('mutation { deleteVariant(productId: "panel", sku: "PANEL-XL") { id } }');
+  assert.deepStrictEqual((await run(PRODUCT, { id: 'panel' })).product.variants.map(v => v.sku), ['PANEL-1']);
+
+  await run('mutation { deleteProduct(id: "new-panel") }');
+  assert.strictEqual((await run(PRODUCT, { id: 'new-panel' })).product, null);
+});
+
+test('a created product lists its default variant first and is priced from it', async (t) => {
+  const api = await createTestApi([buildProduct('panel')]);
+  t.after(() => api.stop());
+
+  const created = await api.query(`mutation {
+    createProduct(input: {
+      name: "Duo", category: "Panel Heaters",
+      variants: [{ sku: "DUO-S", name: "Small", price: 200 }, { sku: "DUO-L", name: "Large", price: 320, isDefault: true }]
+    }) { price variants { sku isDefault } }
+  }`, undefined, ADMIN);
+  assert.ifError(created.errors);
+  assert.strictEqual(created.data.createProduct.price, 320);
+  assert.deepStrictEqual(created.data.createProduct.variants, [
+    { sku: 'DUO-L', isDefault: true },
+    { sku: 'DUO-S', isDefault: false }
+  ]);
+  const { product } = (await api.query(PRODUCT, { id: 'duo' })).data;
+  assert.strictEqual(product.price, 320);
+  assert.deepStrictEqual(product.pricing.priceRange, { min: 200, max: 320 });
+});
+
+test('edits the client has to fix are reported as bad input', async (t) => {
+  const api = await createTestApi([buildProduct('panel')]);
+  t.after(() => api.stop());
+
+  const mutations = [
+    'mutation { createProduct(input: { id: "panel", name: "Again", category: "Panel Heaters", variants: [{ sku: "X-1", name: "X", price: 1 }] }) { id } }',
+    'mutation { updateProduct(id: "panel", input: { name: " " }) { id } }',
+    'mutation { updateProduct(id: "missing", input: { name: "Missing" }) { id } }',
+    'mutation { deleteVariant(productId: "panel", sku: "NOPE") { id } }'
+  ];
+  for (const mutation of mutations) {
+    const { errors } = await api.query(mutation, undefined, ADMIN);
+    assert.strictEqual(errors?.[0]?.extensions?.code, 'BAD_USER_INPUT', mutation);
+  }
+});
+
+test('edits to scraped products keep following later scrapes', async (t) => {
+  const dir = tempDir();
+  const catalogFile = path.join(dir, 'crystallize-products.json');
+  const writeScrape = (scrapedAt, price, stock) => {
+    const product = buildProduct('panel', { price });
+    product.variants[0].stock = stock;
+    fs.writeFileSync(catalogFile, JSON.stringify({ metadata: { scrapedAt }, products: [product, buildProduct('other')] }));
+  };
+  writeScrape('2025-07-01T00:00:00.000Z', 300, 5);
+
+  const source = createJsonFileSource({ paths: [catalogFile], editsFile: path.join(dir, 'edits.json') });
+  const api = await createTestApi(source);
+  t.after(() => api.stop());
+
+  const edit = await api.query('mutation { updateProduct(id: "panel", input: { name: "Renamed" }) { name } }', undefined, ADMIN);
+  assert.ifError(edit.errors);
+
+  writeScrape('2025-07-02T00:00:00.000Z', 320, 2);
+  const reload = await api.query('mutation { reloadCatalog { status } }', undefined, ADMIN);
+  assert.strictEqual(reload.data.reloadCatalog.status, 'OK');
+
+  const { product } = (await api.query(PRODUCT, { id: 'panel' })).data;
+  assert.strictEqual(product.name, 'Renamed');
+  assert.strictEqual(product.price, 320);
+  assert.strictEqual(product.variants[0].stock, 2);
+});
+
+test('a source that fails at startup is replaced by read-only sample data until it recovers', async (t) => {
+  const dir = tempDir();
+  const catalogFile = path.join(dir, 'crystallize-products.json');
+  const editsFile = path.join(dir, 'edits.json');
+  const api = await createTestApi(createJsonFileSource({ paths: [catalogFile], editsFile }));
+  t.after(() => api.stop());
+
+  const metadata = await api.query('{ metadata { source lastReload { status } } }');
+  assert.strictEqual(metadata.data.metadata.source, 'sample_data');
+  assert.strictEqual(metadata.data.metadata.lastReload.status, 'FAILED');
+
+  const created = await api.query('mutation { createProduct(input: { id: "demo", name: "Demo", category: "Panel Heaters", variants: [{ name: "Demo", sku: "DEMO-1", price: 100 }] }) { id } }', undefined, ADMIN);
+  assert.strictEqual(created.errors?.[0]?.extensions?.code, 'CATALOG_UNAVAILABLE');
+  assert.match(created.errors[0].message, /Edits are disabled while sample data is served/);
+  assert.strictEqual((await api.query(PRODUCT, { id: 'demo' })).data.product, null);
+  assert.strictEqual(fs.existsSync(editsFile), false);
+
+  fs.writeFileSync(catalogFile, JSON.stringify({ metadata: { scrapedAt: '2025-07-01T00:00:00.000Z' }, products: [buildProduct('panel')] }));
+  const reload = await api.query(RELOAD, undefined, ADMIN);
+  assert.strictEqual(reload.data.reloadCatalog.status, 'OK');
+  assert.strictEqual((await api.query(PRODUCT, { id: 'panel' })).data.product.name, 'Heater panel');
+
+  const edit = await api.query('mutation { updateProduct(id: "panel", input: { name: "Renamed" }) { name } }', undefined, ADMIN);
+  assert.ifError(edit.errors);
+  assert.ok(JSON.parse(fs.readFileSync(editsFile, 'utf8')).overrides.panel);
+});
+
+test('an edit is reported as saved when the reload after it fails', async (t) => {
+  const memory = createMemorySource([buildProduct('panel')], { scrapedAt: '2025-07-01T00:00:00.000Z' });
+  let broken = false;
+  const source = { ...memory, list: () => (broken ? Promise.reject(new Error('disk unplugged')) : memory.list()) };
+  const api = await createTestApi(source);
+  t.after(() => api.stop());
+
+  broken = true;
+  const edit = await api.query('mutation { updateProduct(id: "panel", input: { name: "Renamed" }) { name } }', undefined, ADMIN);
+  assert.ifError(edit.errors);
+  assert.strictEqual(edit.data.updateProduct.name, 'Renamed');
+  assert.strictEqual((await memory.get('panel')).name, 'Renamed');
+
+  const { lastReload } = (await api.query('{ metadata { lastReload { status trigger error } } }')).data.metadata;
+  assert.deepStrictEqual(lastReload, { status: 'FAILED', trigger: 'EDIT', error: 'disk unplugged' });
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+const LABELS = {
+  'In stock': 'IN_STOCK',
+  'Available': 'IN_STOCK',
+  'Available to order now': 'IN_STOCK',
+  'Not available': 'OUT_OF_STOCK',
+  'Not in stock': 'OUT_OF_STOCK',
+  'Not currently available': 'OUT_OF_STOCK',
+  'Out of stock': 'OUT_OF_STOCK',
+  'Sold out': 'OUT_OF_STOCK',
+  'Unavailable': 'OUT_OF_STOCK',
+  'No longer available': 'DISCONTINUED',
+  'Discontinued': 'DISCONTINUED',
+  'Pre-order': 'PREORDER',
+  'Coming soon': 'PREORDER',
+  'Made to order': 'BACKORDER',
+  'Backorder': 'BACKORDER',
+  '': 'UNKNOWN',
+  'Call for details': 'UNKNOWN'
+};
+
+test('scraped availability text maps to the Availability enum', async (t) => {
+  const products = Object.keys(LABELS).map((label, index) => ({
+    ...buildProduct(`product-${index}`),
+    information: { availability: label }
+  }));
+  const api = await createTestApi(products);
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query('{ products(first: 50) { edges { node { id availability } } } }');
+  assert.ifError(errors);
+  const byId = Object.fromEntries(data.products.edges.map(({ node }) => [node.id, node.availability]));
+  Object.entries(LABELS).forEach(([label, expected], index) => {
+    assert.strictEqual(byId[`product-${index}`], expected, `"${label}"`);
+  });
+});
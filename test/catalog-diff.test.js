@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ADMIN, buildProduct, createTestApi, tempDir } = require('./helpers');
+const { createJsonFileSource } = require('../catalog-sources');
+const { createSnapshotStore } = require('../catalog-snapshots');
+const { diffProduct } = require('../catalog-diff');
+
+test('wattage changes are reported as the server reads them', () => {
+  const changes = diffProduct(buildProduct('panel', { wattage: '600 W' }), buildProduct('panel', { wattage: '0.75kW' }));
+  assert.deepStrictEqual(changes.find(change => change.field === 'wattage'), { field: 'wattage', from: 600, to: 750 });
+});
+
+test('catalogDiff reports values that did not exist as null', async (t) => {
+  const dir = tempDir();
+  const catalogFile = path.join(dir, 'crystallize-products.json');
+  const writeScrape = (scrapedAt, products) => {
+    fs.writeFileSync(catalogFile, JSON.stringify({ metadata: { scrapedAt }, products }));
+  };
+  const panel = buildProduct('panel');
+  writeScrape('2025-07-01T00:00:00.000Z', [panel]);
+  const source = createJsonFileSource({ paths: [catalogFile], editsFile: path.join(dir, 'edits.json') });
+  const snapshots = createSnapshotStore({ directory: path.join(dir, 'snapshots'), maxAgeDays: Infinity });
+  const api = await createTestApi(source, {}, { snapshots });
+  t.after(() => api.stop());
+
+  const extra = { name: 'Large', sku: 'PANEL-2', price: 400, priceVariants: [{ identifier: 'default', price: 400, currency: 'GBP' }] };
+  writeScrape('2025-07-02T00:00:00.000Z', [{ ...panel, variants: [...panel.variants, extra] }]);
+  await api.query('mutation { reloadCatalog { status } }', undefined, ADMIN);
+
+  const { data, errors } = await api.query('{ catalogDiff { changed { changes { field from to } } } }');
+  assert.ifError(errors);
+  const [change] = data.catalogDiff.changed[0].changes;
+  assert.strictEqual(change.field, 'variants.PANEL-2');
+  assert.strictEqual(change.from, null);
+  assert.deepStrictEqual(JSON.parse(change.to), extra);
+});
+
+test('catalogDiff needs a to snapshot when the served catalog has no scrapedAt', async (t) => {
+  const api = await createTestApi([buildProduct('panel')], { scrapedAt: null });
+  t.after(() => api.stop());
+
+  const { data } = await api.query('{ metadata { scrapedAt } }');
+  assert.strictEqual(data.metadata.scrapedAt, null);
+  const { errors } = await api.query('{ catalogDiff { from to } }');
+  assert.match(errors?.[0]?.message || '', /no scrapedAt/);
+});
+
+test('invalid snapshot ids are reported as bad input', async (t) => {
+  const api = await createTestApi([buildProduct('panel')]);
+  t.after(() => api.stop());
+
+  const literal = await api.query('{ catalogDiff(from: "yesterday") { from } }');
+  const variable = await api.query('query Diff($from: SnapshotId) { catalogDiff(from: $from) { from } }', { from: 'yesterday' });
+  const missing = await api.query('{ catalogDiff(from: "2025-01-01T00:00:00.000Z") { from } }');
+  // A literal fails validation rather than execution; both codes keep their message in production
+  assert.strictEqual(literal.errors?.[0]?.extensions?.code, 'GRAPHQL_VALIDATION_FAILED');
+  assert.strictEqual(variable.errors?.[0]?.extensions?.code, 'BAD_USER_INPUT');
+  for (const { errors } of [literal, variable]) {
+    assert.match(errors[0].message, /Invalid SnapshotId: yesterday/);
+  }
+  assert.strictEqual(missing.errors?.[0]?.extensions?.code, 'BAD_USER_INPUT');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildProduct, tempDir } = require('./helpers');
+const { createJsonFileSource, createDatabaseSource } = require('../catalog-sources');
+
+test('the JSON source re-reads its files only after a write or a change on disk', async () => {
+  const dir = tempDir();
+  const catalogFile = path.join(dir, 'crystallize-products.json');
+  const writeScrape = products => {
+    fs.writeFileSync(catalogFile, JSON.stringify({ metadata: { scrapedAt: '2025-07-01T00:00:00.000Z' }, products }));
+  };
+  writeScrape([buildProduct('panel')]);
+  const source = createJsonFileSource({ paths: [catalogFile], editsFile: path.join(dir, 'edits.json') });
+
+  const first = await source.get('panel');
+  assert.strictEqual(await source.get('panel'), first);
+
+  await source.write('panel', { fields: { name: 'Renamed' } });
+  assert.strictEqual((await source.get('panel')).name, 'Renamed');
+
+  writeScrape([buildProduct('panel'), buildProduct('other')]);
+  assert.deepStrictEqual((await source.list()).map(product => product.id), ['panel', 'other']);
+});
+
+test('a legacy catalog is dated by its file, not by when it is read', async () => {
+  const dir = tempDir();
+  const catalogFile = path.join(dir, 'crystallize-products.json');
+  fs.writeFileSync(catalogFile, JSON.stringify([buildProduct('panel')]));
+  const writtenAt = new Date('2025-06-30T12:00:00.000Z');
+  fs.utimesSync(catalogFile, writtenAt, writtenAt);
+
+  const source = createJsonFileSource({ paths: [catalogFile], editsFile: path.join(dir, 'edits.json') });
+  assert.strictEqual((await source.metadata()).scrapedAt, writtenAt.toISOString());
+});
+
+test('the database source seeds from JSON once and keeps catalog order through edits', async () => {
+  const dir = tempDir();
+  const catalogFile = path.join(dir, 'crystallize-products.json');
+  fs.writeFileSync(catalogFile, JSON.stringify({
+    metadata: { scrapedAt: '2025-07-01T00:00:00.000Z' },
+    products: [buildProduct('zeta'), buildProduct('alpha'), buildProduct('zeta'), buildProduct('mid')]
+  }));
+  const seed = createJsonFileSource({ paths: [catalogFile], editsFile: path.join(dir, 'edits.json') });
+  const file = path.join(dir, 'catalog.db');
+  const source = createDatabaseSource({ file, seed });
+
+  assert.deepStrictEqual((await source.list()).map(product => product.id), ['zeta', 'alpha', 'mid']);
+  const metadata = await source.metadata();
+  assert.strictEqual(metadata.scrapedAt, '2025-07-01T00:00:00.000Z');
+  assert.strictEqual(metadata.totalProducts, 3);
+
+  await source.write('alpha', { fields: { name: 'Renamed' } });
+  await source.write('fresh', { product: buildProduct('fresh') });
+  await source.write('zeta', null);
+
+  assert.strictEqual((await source.get('alpha')).name, 'Renamed');
+  assert.strictEqual(await source.get('zeta'), null);
+  assert.deepStrictEqual((await source.query({ name: 'Renamed' })).map(product => product.id), ['alpha']);
+
+  // Reopening the file must not seed again over the edits
+  const reopened = createDatabaseSource({ file, seed });
+  assert.deepStrictEqual((await reopened.list()).map(product => product.id), ['alpha', 'mid', 'fresh']);
+  assert.strictEqual((await reopened.get('alpha')).name, 'Renamed');
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+const ids = connection => connection.edges.map(edge => edge.node.id);
+
+const METADATA = {
+  categories: [
+    { name: 'Panel Heaters', description: 'Slim wall panels', powerRange: '300W - 2000W' },
+    { name: 'Ceiling Heaters' }
+  ]
+};
+
+function catalog() {
+  return [
+    buildProduct('panel-b', { price: 400 }),
+    buildProduct('panel-a', { price: 200 }),
+    // A category the metadata does not list
+    { ...buildProduct('radiator', { category: 'Oil & Gas Radiators' }), categoryDescription: 'Filled radiators' }
+  ];
+}
+
+test('categories combine the scraper metadata with the categories products use', async (t) => {
+  const api = await createTestApi(catalog(), METADATA);
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(`{
+    categories { slug name description productCount powerRange { min max unit } }
+  }`);
+  assert.ifError(errors);
+  assert.deepStrictEqual(data.categories, [
+    { slug: 'ceiling-heaters', name: 'Ceiling Heaters', description: null, productCount: 0, powerRange: null },
+    { slug: 'oil-gas-radiators', name: 'Oil & Gas Radiators', description: 'Filled radiators', productCount: 1, powerRange: null },
+    {
+      slug: 'panel-heaters',
+      name: 'Panel Heaters',
+      description: 'Slim wall panels',
+      productCount: 2,
+      powerRange: { min: 300, max: 2000, unit: 'W' }
+    }
+  ]);
+});
+
+test('a category is found by its slug or name, ignoring case', async (t) => {
+  const api = await createTestApi(catalog(), METADATA);
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(`{
+    slug: category(slug: "panel-heaters") { slug name }
+    name: category(slug: "Oil & Gas Radiators") { slug }
+    upper: category(slug: "PANEL-HEATERS") { slug }
+    missing: category(slug: "fan-heaters") { slug }
+  }`);
+  assert.ifError(errors);
+  assert.deepStrictEqual(data.slug, { slug: 'panel-heaters', name: 'Panel Heaters' });
+  assert.strictEqual(data.name.slug, 'oil-gas-radiators');
+  assert.strictEqual(data.upper.slug, 'panel-heaters');
+  assert.strictEqual(data.missing, null);
+});
+
+test('a category lists its products, as productsByCategory does', async (t) => {
+  const api = await createTestApi(catalog(), METADATA);
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(`{
+    category(slug: "panel-heaters") { products(sort: [{ field: PRICE }]) { totalCount edges { node { id } } } }
+    byCategory: productsByCategory(category: "Panel Heaters", sort: [{ field: PRICE }]) { edges { node { id } } }
+    empty: productsByCategory(category: "ceiling-heaters") { totalCount }
+    unknown: productsByCategory(category: "fan-heaters") { totalCount }
+  }`);
+  assert.ifError(errors);
+  assert.strictEqual(data.category.products.totalCount, 2);
+  assert.deepStrictEqual(ids(data.category.products), ['panel-a', 'panel-b']);
+  assert.deepStrictEqual(ids(data.byCategory), ids(data.category.products));
+  assert.strictEqual(data.empty.totalCount, 0);
+  assert.strictEqual(data.unknown.totalCount, 0);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+const COMPARE = `
+  query Compare($ids: [ID!]!) {
+    compareProducts(ids: $ids) {
+      products { id }
+      rows { attribute differs preference bestProductIds values { productId display } }
+    }
+  }
+`;
+
+const rowOf = (data, attribute) => data.compareProducts.rows.find(row => row.attribute === attribute);
+
+function catalog() {
+  return [
+    buildProduct('splash', { price: 300, specs: { ip_rating: 'IP44' } }),
+    buildProduct('shower', { price: 250, specs: { ip_rating: 'IP54' } }),
+    buildProduct('bath', { price: 250, specs: { ip_rating: 'IP54' } })
+  ];
+}
+
+test('compareProducts flags rows that differ and the products best on them', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(COMPARE, { ids: ['splash', 'shower', 'bath'] });
+  assert.ifError(errors);
+  assert.deepStrictEqual(data.compareProducts.products.map(p => p.id), ['splash', 'shower', 'bath']);
+
+  const price = rowOf(data, 'price');
+  assert.strictEqual(price.differs, true);
+  assert.strictEqual(price.preference, 'LOWER');
+  assert.deepStrictEqual(price.bestProductIds, ['shower', 'bath']);
+
+  const ipRating = rowOf(data, 'ipRating');
+  assert.deepStrictEqual(ipRating.values.map(value => value.display), ['IP44', 'IP54', 'IP54']);
+  assert.deepStrictEqual(ipRating.bestProductIds, ['shower', 'bath']);
+
+  const mounting = rowOf(data, 'mounting');
+  assert.strictEqual(mounting.differs, false);
+  assert.deepStrictEqual(mounting.bestProductIds, []);
+});
+
+test('compareProducts names no best product when the values tie', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(COMPARE, { ids: ['shower', 'bath'] });
+  assert.ifError(errors);
+  assert.strictEqual(rowOf(data, 'price').differs, false);
+  assert.deepStrictEqual(rowOf(data, 'price').bestProductIds, []);
+});
+
+test('compareProducts rejects too few, too many and unknown products', async (t) => {
+  const api = await createTestApi(['a', 'b', 'c', 'd', 'e'].map(id => buildProduct(id)));
+  t.after(() => api.stop());
+
+  const cases = [
+    [['a'], /between 2 and 4/],
+    [['a', 'a'], /between 2 and 4/],
+    [['a', 'b', 'c', 'd', 'e'], /between 2 and 4/],
+    [['a', 'missing'], /Unknown product id\(s\): missing/]
+  ];
+  for (const [ids, message] of cases) {
+    const { errors } = await api.query(COMPARE, { ids });
+    assert.strictEqual(errors?.[0]?.extensions?.code, 'BAD_USER_INPUT', ids.join());
+    assert.match(errors[0].message, message);
+  }
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+test('converted prices report the exchange rate they used', async (t) => {
+  const api = await createTestApi([buildProduct('panel', { price: 300 })]);
+  t.after(() => api.stop());
+  await api.setExchangeRates({ EUR: 1.2 });
+
+  const { data, errors } = await api.query(`{
+    product(id: "panel") {
+      price(currency: EUR)
+      exchangeRate(currency: EUR) { from to rate updatedAt }
+      own: exchangeRate { rate }
+    }
+  }`);
+  assert.ifError(errors);
+  assert.strictEqual(data.product.price, 360);
+  assert.strictEqual(data.product.exchangeRate.from, 'GBP');
+  assert.strictEqual(data.product.exchangeRate.to, 'EUR');
+  assert.strictEqual(data.product.exchangeRate.rate, 1.2);
+  assert.ok(data.product.exchangeRate.updatedAt);
+  assert.strictEqual(data.product.own.rate, 1);
+});
+
+test('a currency without a rate is a BAD_USER_INPUT error', async (t) => {
+  const api = await createTestApi([buildProduct('panel')]);
+  t.after(() => api.stop());
+
+  const { errors } = await api.query('{ product(id: "panel") { price(currency: JPY) } }');
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].extensions.code, 'BAD_USER_INPUT');
+  assert.match(errors[0].message, /No exchange rate available from GBP to JPY/);
+});
+
+test('variant prices take VAT handling from their product', async (t) => {
+  const exVatProduct = { ...buildProduct('trade', { price: 100 }), pricing: { vatIncluded: false } };
+  const api = await createTestApi([buildProduct('retail', { price: 120 }), exVatProduct]);
+  t.after(() => api.stop());
+
+  const VARIANT = `
+    query Variant($id: ID!) {
+      product(id: $id) {
+        variants {
+          inc: price
+          ex: price(priceDisplay: EX_VAT)
+          priceBreakdown { net vat gross vatRate }
+        }
+      }
+    }
+  `;
+  const retail = (await api.query(VARIANT, { id: 'retail' })).data.product.variants[0];
+  assert.deepStrictEqual([retail.inc, retail.ex], [120, 100]);
+
+  const trade = (await api.query(VARIANT, { id: 'trade' })).data.product.variants[0];
+  assert.deepStrictEqual([trade.inc, trade.ex], [120, 100]);
+  assert.deepStrictEqual(trade.priceBreakdown, { net: 100, vat: 20, gross: 120, vatRate: 0.2 });
+});
+
+test('a country without a VAT rate is a BAD_USER_INPUT error', async (t) => {
+  const api = await createTestApi([buildProduct('panel')]);
+  t.after(() => api.stop());
+
+  const { errors } = await api.query('{ product(id: "panel") { variants { price(country: "ZZ") } } }');
+  assert.strictEqual(errors[0].extensions.code, 'BAD_USER_INPUT');
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+const FACETS = `
+  query Facets($filter: ProductFilter, $currency: CurrencyCode) {
+    productFacets(filter: $filter, currency: $currency) {
+      totalCount
+      facets { field buckets { value label count min max } }
+    }
+  }
+`;
+
+const bucketsOf = (data, field) => data.productFacets.facets.find(facet => facet.field === field).buckets;
+const countsOf = (data, field) => Object.fromEntries(bucketsOf(data, field).map(bucket => [bucket.value, bucket.count]));
+
+function catalog() {
+  const product = (id, price, options) => buildProduct(id, {
+    price,
+    variants: [
+      { name: 'Small', sku: `${id}-S`, price, priceVariants: [{ price, currency: 'GBP' }], stock: 1 },
+      { name: 'Large', sku: `${id}-L`, price: price + 350, priceVariants: [{ price: price + 350, currency: 'GBP' }], stock: 1 }
+    ],
+    ...options
+  });
+  const basic = { ip_rating: 'IP44', efficiency: 'B Energy Rating' };
+  return [
+    product('cheap', 150, { specs: basic }),
+    product('mid', 250, { specs: { mounting: 'Ceiling mounted', ip_rating: 'IP54', efficiency: 'A++ Energy Rating' } }),
+    product('dear', 650, { specs: basic })
+  ];
+}
+
+const PRODUCT_COUNT = 'query Count($filter: ProductFilter) { products(filter: $filter) { totalCount } }';
+
+// Each bucket counts what filtering by its bounds returns
+async function assertBucketsMatchFilter(api, data, filter) {
+  for (const bucket of bucketsOf(data, 'PRICE')) {
+    const { data: result } = await api.query(PRODUCT_COUNT, {
+      filter: { ...filter, minPrice: bucket.min, maxPrice: bucket.max }
+    });
+    assert.strictEqual(result.products.totalCount, bucket.count, `${bucket.value} bucket`);
+  }
+}
+
+test('price facet counts a product in every bucket its price range overlaps, as the price filter does', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(FACETS);
+  assert.ifError(errors);
+  // Price ranges: cheap 150-500, mid 250-600, dear 650-1000
+  assert.deepStrictEqual(countsOf(data, 'PRICE'), { 'under-200': 1, '200-399': 2, '400-599': 2, '600-plus': 2 });
+  await assertBucketsMatchFilter(api, data, {});
+});
+
+test('price facet labels follow the currency and VAT display', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const gbp = (await api.query(FACETS)).data;
+  assert.deepStrictEqual(bucketsOf(gbp, 'PRICE').map(bucket => bucket.label), [
+    'Under £200 inc. VAT', '£200 - £399 inc. VAT', '£400 - £599 inc. VAT', '£600 and above inc. VAT'
+  ]);
+
+  const exVat = (await api.query(FACETS, { filter: { priceDisplay: 'EX_VAT' } })).data;
+  assert.strictEqual(bucketsOf(exVat, 'PRICE')[0].label, 'Under £200 ex. VAT');
+  // Ex. VAT ranges: cheap 125-416.67, mid 208.33-500, dear 541.67-833.33
+  assert.deepStrictEqual(countsOf(exVat, 'PRICE'), { 'under-200': 1, '200-399': 2, '400-599': 3, '600-plus': 1 });
+  await assertBucketsMatchFilter(api, exVat, { priceDisplay: 'EX_VAT' });
+
+  await api.setExchangeRates({ EUR: 1.2 });
+  const eur = (await api.query(FACETS, { currency: 'EUR' })).data;
+  assert.deepStrictEqual(bucketsOf(eur, 'PRICE').map(bucket => bucket.label), [
+    'Under €240 inc. VAT', '€240 - €479 inc. VAT', '€480 - €719 inc. VAT', '€720 and above inc. VAT'
+  ]);
+  // EUR ranges: cheap 180-600, mid 300-720, dear 780-1200
+  assert.deepStrictEqual(countsOf(eur, 'PRICE'), { 'under-200': 1, '200-399': 2, '400-599': 2, '600-plus': 2 });
+  await assertBucketsMatchFilter(api, eur, { currency: 'EUR' });
+
+  const fromFilter = (await api.query(FACETS, { filter: { currency: 'EUR' } })).data;
+  assert.deepStrictEqual(bucketsOf(fromFilter, 'PRICE'), bucketsOf(eur, 'PRICE'));
+  const mismatch = await api.query(FACETS, { filter: { currency: 'EUR' }, currency: 'GBP' });
+  assert.strictEqual(mismatch.errors?.[0]?.extensions?.code, 'BAD_USER_INPUT');
+});
+
+test('mounting, IP rating and energy rating facets leave their own filter out', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const filters = [
+    [{ mounting: 'Ceiling' }, 'MOUNTING'],
+    [{ minIpRating: 'IP54' }, 'IP_RATING'],
+    [{ minEfficiency: 'A++' }, 'ENERGY_RATING']
+  ];
+  for (const [filter, field] of filters) {
+    const { data, errors } = await api.query(FACETS, { filter });
+    assert.ifError(errors);
+    assert.strictEqual(data.productFacets.totalCount, 1, `${field} filter`);
+    const total = bucketsOf(data, field).reduce((sum, bucket) => sum + bucket.count, 0);
+    assert.strictEqual(total, 3, `${field} buckets still count the products the filter hides`);
+  }
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+const ids = connection => connection.edges.map(edge => edge.node.id);
+
+function catalog() {
+  const variant = (sku, price) => ({ name: sku, sku, price, priceVariants: [{ price, currency: 'GBP' }], stock: 1 });
+  return [
+    buildProduct('unrated', { price: 0 }),
+    buildProduct('panel', { wattage: '600 W', price: 300 }),
+    buildProduct('range', { wattage: '1200 W', variants: [variant('RANGE-S', 150), variant('RANGE-L', 500)] })
+  ];
+}
+
+test('bounds of 0 are applied, not ignored', async (t) => {
+  const api = await createTestApi(catalog().map(product =>
+    // A product with no wattage anywhere is reported as 0 W
+    product.id === 'unrated' ? { ...product, components: {} } : product
+  ));
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(`{
+    byWattage: productsByWattage(minWattage: 0, maxWattage: 0) { edges { node { id } } }
+    byPrice: productsByPriceRange(minPrice: 0, maxPrice: 0) { edges { node { id } } }
+    upTo: products(filter: { maxWattage: 0 }) { edges { node { id } } }
+    free: products(filter: { minPrice: 0, maxPrice: 0 }) { edges { node { id } } }
+  }`);
+  assert.ifError(errors);
+  assert.deepStrictEqual(ids(data.byWattage), ['unrated']);
+  assert.deepStrictEqual(ids(data.byPrice), ['unrated']);
+  assert.deepStrictEqual(ids(data.upTo), ['unrated']);
+  assert.deepStrictEqual(ids(data.free), ['unrated']);
+});
+
+test('productsByPriceRange matches any variant price, like the products filter', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(`{
+    wrapper: productsByPriceRange(minPrice: 450, maxPrice: 600) { edges { node { id } } }
+    filter: products(filter: { minPrice: 450, maxPrice: 600 }) { edges { node { id } } }
+    cheap: productsByPriceRange(minPrice: 100, maxPrice: 200) { edges { node { id } } }
+  }`);
+  assert.ifError(errors);
+  assert.deepStrictEqual(ids(data.wrapper), ['range']);
+  assert.deepStrictEqual(ids(data.filter), ids(data.wrapper));
+  assert.deepStrictEqual(ids(data.cheap), ['range']);
+});
+
+test('invalid IP and energy ratings are reported as bad input', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  for (const filter of ['{ minIpRating: "waterproof" }', '{ minEfficiency: "excellent" }']) {
+    const { errors } = await api.query(`{ products(filter: ${filter}) { totalCount } }`);
+    assert.strictEqual(errors?.[0]?.extensions?.code, 'BAD_USER_INPUT', filter);
+    assert.match(errors[0].message, /^Invalid (IP|energy) rating/);
+  }
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+const RECOMMEND = `
+  query Recommend($room: RoomInput!, $limit: Int) {
+    recommendHeaters(room: $room, limit: $limit) {
+      calculation { area volume wattsPerCubicMetre roomTypeFactor requiredWattage steps }
+      recommendations { product { id } quantity totalWattage coverageMatched oversizePercent totalPrice }
+    }
+  }
+`;
+
+function catalog() {
+  return [
+    buildProduct('small', { wattage: '600 W', price: 200 }),
+    buildProduct('narrow', { wattage: '2000 W', price: 500, specs: { coverage: '8 m²' } }),
+    buildProduct('big', { wattage: '1000 W', price: 300 }),
+    buildProduct('one', { wattage: '2000 W', price: 700 })
+  ];
+}
+
+test('the heating calculation works out the wattage a room needs', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const living = await api.query(RECOMMEND, { room: { length: 4, width: 5 } });
+  assert.ifError(living.errors);
+  const { calculation } = living.data.recommendHeaters;
+  assert.deepStrictEqual(
+    { ...calculation, steps: calculation.steps.length },
+    { area: 20, volume: 48, wattsPerCubicMetre: 35, roomTypeFactor: 1, requiredWattage: 1680, steps: 5 }
+  );
+
+  // 4 x 5 x 3 m = 60 m³ at 45 W/m³, x 1.2 for a bathroom = 3240 W
+  const bathroom = await api.query(RECOMMEND, {
+    room: { length: 4, width: 5, ceilingHeight: 3, insulation: 'POOR', roomType: 'BATHROOM' }
+  });
+  assert.strictEqual(bathroom.data.recommendHeaters.calculation.requiredWattage, 3240);
+});
+
+test('heaters are ranked by quantity, then by how closely they fit', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(RECOMMEND, { room: { length: 4, width: 5 } });
+  assert.ifError(errors);
+  const recommendations = data.recommendHeaters.recommendations;
+  assert.deepStrictEqual(
+    recommendations.map(rec => [rec.product.id, rec.quantity, rec.totalWattage]),
+    [['one', 1, 2000], ['big', 2, 2000], ['small', 3, 1800], ['narrow', 3, 6000]]
+  );
+  assert.strictEqual(recommendations[2].oversizePercent, 7.1);
+  assert.strictEqual(recommendations[2].totalPrice, 600);
+  // narrow's wattage alone would do, but its 8 m² coverage takes three for 20 m²
+  assert.strictEqual(recommendations[3].coverageMatched, true);
+
+  const limited = await api.query(RECOMMEND, { room: { length: 4, width: 5 }, limit: 2 });
+  assert.strictEqual(limited.data.recommendHeaters.recommendations.length, 2);
+});
+
+test('rooms without a usable size are rejected as bad input', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  for (const room of [{ length: 0, width: 5 }, { length: 4, width: -1 }, { length: 0.05, width: 0.05 }]) {
+    const { errors } = await api.query(RECOMMEND, { room });
+    assert.strictEqual(errors?.[0]?.extensions?.code, 'BAD_USER_INPUT', JSON.stringify(room));
+  }
+});
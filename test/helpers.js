@@ -0,0 +1,109 @@
+/**
+ * Shared helpers for the API tests
+ *
+ * Operations run in-process against the schema and resolvers, so no HTTP
+ * server is started. Catalogs are small fixtures served from a memory source.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep files the server writes (exchange rates, test catalogs) out of the working tree
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'norko-test-'));
+process.env.EXCHANGE_RATES_FILE = path.join(workDir, 'exchange-rates.json');
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const { ApolloServer } = require('@apollo/server');
+const { typeDefs, resolvers, loadProductData } = require('../server');
+const { createMemorySource } = require('../catalog-sources');
+
+/**
+ * Make a fresh temporary directory for a test's files
+ * @returns {string} Its path; removed when the process exits
+ */
+function tempDir() {
+  return fs.mkdtempSync(path.join(workDir, 'files-'));
+}
+
+const ADMIN = { authenticated: true, user: { role: 'admin' } };
+
+/**
+ * Build a raw product in the scraper's format
+ * @param {string} id - Product id, also used for the name, path and SKU
+ * @param {Object} [options]
+ * @returns {Object} Raw product
+ */
+function buildProduct(id, {
+  category = 'Panel Heaters',
+  price = 300,
+  currency = 'GBP',
+  wattage = '600 W',
+  specs = {},
+  variants
+} = {}) {
+  return {
+    id,
+    name: `Heater ${id}`,
+    path: `/heaters/${id}`,
+    category,
+    components: {
+      specifications: { chunks: [{ wattage: 4, dimensions: '800mm x 600mm x 20mm', mounting: 'Wall mounted', ...specs }] },
+      technicalSpecs: { chunks: [{ wattage }] }
+    },
+    variants: variants || [{
+      name: `${id} default`,
+      sku: `${id.toUpperCase()}-1`,
+      price,
+      priceVariants: [{ identifier: 'default', price, currency }],
+      stock: 5,
+      isDefault: true
+    }]
+  };
+}
+
+/**
+ * Load a catalog and start a schema-only Apollo server over it
+ * @param {Array|Object} catalog - Raw products, or a data source
+ * @param {Object} [metadata] - Catalog metadata, for raw products
+ * @param {Object} [options]
+ * @param {Object} [options.snapshots] - Snapshot store; catalog history is off without one
+ * @returns {Promise<{query: Function, setExchangeRates: Function, stop: Function}>}
+ */
+async function createTestApi(catalog, metadata = {}, { snapshots } = {}) {
+  const source = Array.isArray(catalog)
+    ? createMemorySource(catalog, { scrapedAt: '2025-07-01T00:00:00.000Z', ...metadata })
+    : catalog;
+  await loadProductData(source, { snapshots });
+  const server = new ApolloServer({ typeDefs, resolvers });
+  await server.start();
+
+  return {
+    /**
+     * Run an operation
+     * @param {string} query - GraphQL document
+     * @param {Object} [variables]
+     * @param {Object} [contextValue] - Resolver context; anonymous by default
+     * @returns {Promise<{data, errors}>}
+     */
+    query: async (query, variables, contextValue = { authenticated: false, user: null }) => {
+      const response = await server.executeOperation({ query, variables }, { contextValue });
+      // Plain objects, so results compare with deepStrictEqual
+      return JSON.parse(JSON.stringify(response.body.singleResult));
+    },
+    /**
+     * Replace the exchange rates used for currency conversion (base GBP)
+     * @param {Object} rates - Rate per currency code, e.g. { EUR: 1.2 }
+     */
+    setExchangeRates: async rates => {
+      const response = await server.executeOperation({
+        query: 'mutation Rates($rates: [ExchangeRateInput!]!) { updateExchangeRates(rates: $rates) { base } }',
+        variables: { rates: Object.entries(rates).map(([currency, rate]) => ({ currency, rate })) }
+      }, { contextValue: ADMIN });
+      if (response.body.singleResult.errors) throw new Error(response.body.singleResult.errors[0].message);
+    },
+    stop: () => server.stop()
+  };
+}
+
+module.exports = { ADMIN, buildProduct, createTestApi, tempDir };
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+function catalog() {
+  const variant = (sku, price) => ({ name: sku, sku, price, priceVariants: [{ price, currency: 'GBP' }], stock: 1 });
+  return [
+    buildProduct('panel'),
+    buildProduct('range', { variants: [variant('RANGE-S', 150), variant('RANGE-L', 500)] }),
+    // A duplicate id, path and SKU from the scraper; the first product keeps them
+    { ...buildProduct('panel'), name: 'Duplicate panel' }
+  ];
+}
+
+test('productByPath finds a product by its path, ignoring case and trailing slashes', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(`{
+    exact: productByPath(path: "/heaters/range") { id }
+    loose: productByPath(path: "Heaters/Range/") { id }
+    duplicate: productByPath(path: "/heaters/panel") { id name }
+    folder: productByPath(path: "/heaters") { id }
+    missing: productByPath(path: "/heaters/nothing") { id }
+  }`);
+  assert.ifError(errors);
+  assert.strictEqual(data.exact.id, 'range');
+  assert.strictEqual(data.loose.id, 'range');
+  assert.deepStrictEqual(data.duplicate, { id: 'panel', name: 'Heater panel' });
+  assert.strictEqual(data.folder, null);
+  assert.strictEqual(data.missing, null);
+});
+
+test('productBySku returns the product with the matching variant', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(`{
+    large: productBySku(sku: "RANGE-L") { product { id } variant { sku price isDefault } }
+    loose: productBySku(sku: " range-s ") { product { id } variant { sku } }
+    duplicate: productBySku(sku: "PANEL-1") { product { name } }
+    missing: productBySku(sku: "NOPE-1") { product { id } }
+  }`);
+  assert.ifError(errors);
+  assert.deepStrictEqual(data.large, { product: { id: 'range' }, variant: { sku: 'RANGE-L', price: 500, isDefault: false } });
+  assert.deepStrictEqual(data.loose, { product: { id: 'range' }, variant: { sku: 'RANGE-S' } });
+  assert.strictEqual(data.duplicate.product.name, 'Heater panel');
+  assert.strictEqual(data.missing, null);
+});
+
+test('productsByIds lines results up with the ids, with null for unknown ones', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(`{
+    productsByIds(ids: ["range", "missing", "panel", "range"]) { id }
+  }`);
+  assert.ifError(errors);
+  assert.deepStrictEqual(data.productsByIds, [{ id: 'range' }, null, { id: 'panel' }, { id: 'range' }]);
+});
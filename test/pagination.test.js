@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+const PAGE = `
+  query Page($first: Int, $after: String, $last: Int, $before: String) {
+    products(first: $first, after: $after, last: $last, before: $before) {
+      edges { cursor node { id } }
+      pageInfo { hasNextPage hasPreviousPage startCursor endCursor }
+      totalCount
+    }
+  }
+`;
+
+test('products pages forwards and backwards with cursors', async (t) => {
+  const api = await createTestApi(['a', 'b', 'c', 'd', 'e'].map(id => buildProduct(id)));
+  t.after(() => api.stop());
+
+  const first = await api.query(PAGE, { first: 2 });
+  assert.ifError(first.errors);
+  const page1 = first.data.products;
+  assert.deepStrictEqual(page1.edges.map(edge => edge.node.id), ['a', 'b']);
+  assert.strictEqual(page1.totalCount, 5);
+  assert.strictEqual(page1.pageInfo.hasNextPage, true);
+  assert.strictEqual(page1.pageInfo.hasPreviousPage, false);
+
+  const second = (await api.query(PAGE, { first: 2, after: page1.pageInfo.endCursor })).data.products;
+  assert.deepStrictEqual(second.edges.map(edge => edge.node.id), ['c', 'd']);
+  assert.strictEqual(second.pageInfo.hasPreviousPage, true);
+
+  const back = (await api.query(PAGE, { last: 2, before: second.pageInfo.startCursor })).data.products;
+  assert.deepStrictEqual(back.edges.map(edge => edge.node.id), ['a', 'b']);
+  assert.strictEqual(back.pageInfo.hasPreviousPage, false);
+});
+
+test('products rejects a malformed cursor', async (t) => {
+  const api = await createTestApi([buildProduct('a')]);
+  t.after(() => api.stop());
+
+  const result = await api.query(PAGE, { first: 1, after: 'not-a-cursor' });
+  assert.strictEqual(result.errors?.[0]?.extensions?.code, 'BAD_USER_INPUT');
+  assert.match(result.errors[0].message, /^Invalid cursor/);
+
+  const negative = await api.query(PAGE, { first: -1 });
+  assert.strictEqual(negative.errors?.[0]?.extensions?.code, 'BAD_USER_INPUT');
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+const ids = connection => connection.edges.map(edge => edge.node.id);
+
+function catalog() {
+  const variant = (sku, price) => ({ name: sku, sku, price, priceVariants: [{ price, currency: 'GBP' }], stock: 1 });
+  return [
+    buildProduct('single', { price: 240 }),
+    buildProduct('range', { variants: [variant('RANGE-M', 360), variant('RANGE-S', 120), variant('RANGE-L', 600)] }),
+    {
+      ...buildProduct('scraped', { price: 480 }),
+      pricing: { basePrice: 480, currency: 'GBP', priceRange: { min: 450, max: 720, base: 480 } }
+    }
+  ];
+}
+
+const PRICING = `
+  query Pricing($priceDisplay: PriceDisplay) {
+    products {
+      edges { node { id pricing(priceDisplay: $priceDisplay) { basePrice vatIncluded priceRange { min max base } } } }
+    }
+  }
+`;
+
+test('the price range spans every variant unless the scraper provided one', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(PRICING);
+  assert.ifError(errors);
+  const ranges = Object.fromEntries(data.products.edges.map(({ node }) => [node.id, node.pricing]));
+  assert.deepStrictEqual(ranges.single.priceRange, { min: 240, max: 240, base: 240 });
+  // The first variant is the base price, not the cheapest
+  assert.deepStrictEqual(ranges.range.priceRange, { min: 120, max: 600, base: 360 });
+  assert.deepStrictEqual(ranges.scraped.priceRange, { min: 450, max: 720, base: 480 });
+});
+
+test('the price range is shown ex VAT on request', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(PRICING, { priceDisplay: 'EX_VAT' });
+  assert.ifError(errors);
+  const { pricing } = data.products.edges.find(({ node }) => node.id === 'range').node;
+  assert.strictEqual(pricing.vatIncluded, false);
+  assert.deepStrictEqual(pricing.priceRange, { min: 100, max: 500, base: 300 });
+});
+
+test('price filters match when the bounds overlap any part of the range', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(`{
+    low: products(filter: { maxPrice: 130 }) { edges { node { id } } }
+    middle: products(filter: { minPrice: 250, maxPrice: 400 }) { edges { node { id } } }
+    high: products(filter: { minPrice: 700 }) { edges { node { id } } }
+    exVat: products(filter: { minPrice: 200, maxPrice: 200, priceDisplay: EX_VAT }) { edges { node { id } } }
+    byRange: productsByPriceRange(minPrice: 250, maxPrice: 400) { edges { node { id } } }
+  }`);
+  assert.ifError(errors);
+  assert.deepStrictEqual(ids(data.low), ['range']);
+  assert.deepStrictEqual(ids(data.middle), ['range']);
+  assert.deepStrictEqual(ids(data.high), ['scraped']);
+  // 240 inc VAT is 200 ex VAT
+  assert.deepStrictEqual(ids(data.exVat), ['single', 'range']);
+  assert.deepStrictEqual(ids(data.byRange), ids(data.middle));
+});
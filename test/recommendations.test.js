@@ -0,0 +1,72 @@
+// A broken weight must not turn every similarity score into NaN
+process.env.SIMILAR_WEIGHT_PRICE = 'lots';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+const related = `
+  query Related($id: ID!) {
+    product(id: $id) {
+      similar(limit: 3) { id }
+      alsoConsider(limit: 3) { id }
+    }
+  }
+`;
+
+const rated = (id, efficiency, options = {}) => buildProduct(id, { ...options, specs: { efficiency, ...options.specs } });
+
+test('similar falls back to the default weights when one is invalid', async (t) => {
+  const api = await createTestApi([
+    rated('source', 'B Energy Rating', { wattage: '1000 W', price: 300 }),
+    rated('a-far', 'B Energy Rating', { wattage: '2400 W', price: 900 }),
+    rated('z-twin', 'B Energy Rating', { wattage: '1000 W', price: 300 }),
+    rated('m-other', 'B Energy Rating', { category: 'Patio Heaters', wattage: '1000 W', price: 300 })
+  ]);
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(related, { id: 'source' });
+  assert.ifError(errors);
+  assert.deepStrictEqual(data.product.similar.map(product => product.id), ['z-twin', 'a-far', 'm-other']);
+});
+
+test('alsoConsider only suggests rated products, best rated first', async (t) => {
+  const api = await createTestApi([
+    rated('source', 'Unrated'),
+    rated('unrated', 'Unrated'),
+    rated('good', 'B Energy Rating'),
+    rated('best', 'A++ Energy Rating')
+  ]);
+  t.after(() => api.stop());
+
+  const fromUnrated = (await api.query(related, { id: 'source' })).data.product.alsoConsider;
+  assert.deepStrictEqual(fromUnrated.map(product => product.id), ['best', 'good']);
+
+  const fromGood = (await api.query(related, { id: 'good' })).data.product.alsoConsider;
+  assert.deepStrictEqual(fromGood.map(product => product.id), ['best']);
+});
+
+test('products without a rating are not treated as A+ outside of display', async (t) => {
+  const api = await createTestApi([
+    rated('source', 'B Energy Rating'),
+    buildProduct('plain-1'),
+    buildProduct('plain-2'),
+    buildProduct('plain-3')
+  ]);
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(`{
+    product(id: "source") { alsoConsider(limit: 3) { id } }
+    unrated: product(id: "plain-1") { specifications { efficiency } }
+    rated: products(filter: { minEfficiency: "A" }) { totalCount }
+    sorted: products(sort: [{ field: EFFICIENCY, direction: DESC }]) { edges { node { id } } }
+    productFacets { facets { field buckets { value count } } }
+  }`);
+  assert.ifError(errors);
+  assert.deepStrictEqual(data.product.alsoConsider, []);
+  assert.strictEqual(data.unrated.specifications.efficiency, 'A+ Energy Rating');
+  assert.strictEqual(data.rated.totalCount, 0);
+  assert.strictEqual(data.sorted.edges[0].node.id, 'source');
+  const energy = data.productFacets.facets.find(facet => facet.field === 'ENERGY_RATING');
+  assert.deepStrictEqual(energy.buckets, [{ value: 'B', count: 1 }]);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+const COSTS = `
+  query Costs($ids: [ID!]!, $input: RunningCostInput) {
+    estimateRunningCosts(ids: $ids, input: $input) {
+      product { id }
+      runningCost { wattage pricePerKwh hoursPerDay daysPerYear dutyCycle hourly daily annual currency }
+    }
+  }
+`;
+
+function catalog() {
+  return [
+    buildProduct('uk', { wattage: '2000 W' }),
+    buildProduct('eu', { wattage: '1 kW', currency: 'EUR' })
+  ];
+}
+
+test('running costs use the default tariff and hours when none are given', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(COSTS, { ids: ['uk'] });
+  assert.ifError(errors);
+  // 2 kW at half duty for 6 h/day over 180 days, at £0.245/kWh
+  assert.deepStrictEqual(data.estimateRunningCosts[0].runningCost, {
+    wattage: 2000,
+    pricePerKwh: 0.245,
+    hoursPerDay: 6,
+    daysPerYear: 180,
+    dutyCycle: 0.5,
+    hourly: 0.245,
+    daily: 1.47,
+    annual: 264.6,
+    currency: 'GBP'
+  });
+});
+
+test('running costs are in the product currency, with any inputs given overriding the defaults', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(COSTS, { ids: ['eu', 'eu'], input: { pricePerKwh: 0.3, dutyCycle: 1 } });
+  assert.ifError(errors);
+  assert.strictEqual(data.estimateRunningCosts.length, 1);
+  const { runningCost } = data.estimateRunningCosts[0];
+  assert.strictEqual(runningCost.currency, 'EUR');
+  assert.strictEqual(runningCost.hoursPerDay, 6);
+  assert.strictEqual(runningCost.hourly, 0.3);
+  assert.strictEqual(runningCost.annual, 324);
+});
+
+test('running costs reject invalid inputs and unknown products', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const cases = [
+    [['uk'], { pricePerKwh: -0.1 }, /pricePerKwh/],
+    [['uk'], { hoursPerDay: 25 }, /hoursPerDay/],
+    [['uk'], { daysPerYear: 400 }, /daysPerYear/],
+    [['uk'], { dutyCycle: 1.5 }, /dutyCycle/],
+    [['uk', 'missing'], undefined, /Unknown product id\(s\): missing/]
+  ];
+  for (const [ids, input, message] of cases) {
+    const { errors } = await api.query(COSTS, { ids, input });
+    assert.strictEqual(errors?.[0]?.extensions?.code, 'BAD_USER_INPUT', String(message));
+    assert.match(errors[0].message, message);
+  }
+});
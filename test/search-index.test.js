@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSearchIndex, search } = require('../search-index');
+
+const BOOSTS = { name: 5, description: 1 };
+
+function buildIndex() {
+  return createSearchIndex([
+    { name: 'Panel heater', description: 'A slim wall panel' },
+    { name: 'Oil radiator', description: 'Works as a heater in any room' },
+    { name: 'Towel rail', description: 'Bathroom towel warmer' }
+  ], BOOSTS);
+}
+
+test('search ranks a name match above a description match', () => {
+  const hits = search(buildIndex(), 'heater');
+
+  assert.deepStrictEqual(hits.map(hit => hit.docId), [0, 1]);
+  assert.ok(hits[0].score > hits[1].score);
+});
+
+test('search matches a misspelt term only when fuzzy matching is on', () => {
+  const index = buildIndex();
+
+  assert.deepStrictEqual(search(index, 'raditor').map(hit => hit.docId), [1]);
+  assert.deepStrictEqual(search(index, 'raditor', { fuzzy: false }), []);
+});
+
+test('search requires every term with AND and any term with OR', () => {
+  const index = buildIndex();
+
+  assert.deepStrictEqual(search(index, 'panel towel'), []);
+  assert.deepStrictEqual(search(index, 'panel towel', { operator: 'OR' }).map(hit => hit.docId), [0, 2]);
+  assert.deepStrictEqual(search(index, 'panel heater').map(hit => hit.docId), [0]);
+});
+
+test('search highlights the matched words in each field that matched', () => {
+  const [hit] = search(buildIndex(), 'panel');
+
+  assert.deepStrictEqual(hit.highlights, [
+    { field: 'name', snippet: '<mark>Panel</mark> heater' },
+    { field: 'description', snippet: 'A slim wall <mark>panel</mark>' }
+  ]);
+});
+
+test('search trims long fields to a snippet around the first match', () => {
+  const filler = 'word '.repeat(80);
+  const index = createSearchIndex([{ name: 'Heater', description: `${filler}convector ${filler}` }], BOOSTS);
+  const [hit] = search(index, 'convector');
+  const { snippet } = hit.highlights.find(highlight => highlight.field === 'description');
+
+  assert.match(snippet, /^….*<mark>convector<\/mark>.*…$/);
+  assert.ok(snippet.length < filler.length);
+});
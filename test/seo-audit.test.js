@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+const GOOD_TITLE = 'Slim glass panel heater';
+const GOOD_DESCRIPTION = 'A wall mounted glass panel heater for living rooms.';
+
+function catalog() {
+  const product = (id, seo) => ({ ...buildProduct(id), seo });
+  return [
+    product('clean', { title: GOOD_TITLE, description: GOOD_DESCRIPTION, keywords: ['panel', 'glass'] }),
+    product('untitled', { description: GOOD_DESCRIPTION, keywords: ['oil'] }),
+    product('wordy', { title: 'x'.repeat(61), description: 'y'.repeat(161), keywords: [] }),
+    product('undescribed', { title: GOOD_TITLE, keywords: ['towel'] }),
+    // Same keyword set as each other once case, spacing and order are ignored
+    product('twin-a', { title: GOOD_TITLE, description: GOOD_DESCRIPTION, keywords: ['Infrared', 'ceiling'] }),
+    product('twin-b', { title: GOOD_TITLE, description: GOOD_DESCRIPTION, keywords: [' ceiling ', 'infrared'] })
+  ];
+}
+
+const AUDIT = `
+  query Audit($maxTitleLength: Int, $maxDescriptionLength: Int) {
+    seoAudit(maxTitleLength: $maxTitleLength, maxDescriptionLength: $maxDescriptionLength) {
+      checkedProducts
+      productsWithIssues
+      entries { product { id } issues { type message relatedProductIds } }
+      repeatedKeywords { keyword productCount productIds }
+    }
+  }
+`;
+
+const issueTypes = audit => Object.fromEntries(audit.entries.map(({ product, issues }) =>
+  [product.id, issues.map(issue => issue.type)]
+));
+
+test('seoAudit flags missing and overlong titles and descriptions', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(AUDIT);
+  assert.ifError(errors);
+  assert.strictEqual(data.seoAudit.checkedProducts, 6);
+  assert.strictEqual(data.seoAudit.productsWithIssues, 5);
+
+  const types = issueTypes(data.seoAudit);
+  assert.strictEqual(types.clean, undefined);
+  assert.deepStrictEqual(types.untitled, ['MISSING_TITLE']);
+  assert.deepStrictEqual(types.wordy, ['TITLE_TOO_LONG', 'DESCRIPTION_TOO_LONG']);
+  assert.deepStrictEqual(types.undescribed, ['MISSING_DESCRIPTION']);
+
+  const wordy = data.seoAudit.entries.find(entry => entry.product.id === 'wordy');
+  assert.strictEqual(wordy.issues[0].message, 'SEO title is 61 characters (max 60)');
+  assert.strictEqual(wordy.issues[1].message, 'SEO description is 161 characters (max 160)');
+});
+
+test('seoAudit applies the requested length limits', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(AUDIT, { maxTitleLength: 100, maxDescriptionLength: 20 });
+  assert.ifError(errors);
+  const types = issueTypes(data.seoAudit);
+  assert.deepStrictEqual(types.wordy, ['DESCRIPTION_TOO_LONG']);
+  assert.deepStrictEqual(types.clean, ['DESCRIPTION_TOO_LONG']);
+});
+
+test('seoAudit flags identical keyword sets and lists repeated keywords', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(AUDIT);
+  assert.ifError(errors);
+  const duplicates = Object.fromEntries(data.seoAudit.entries.map(({ product, issues }) =>
+    [product.id, issues.find(issue => issue.type === 'DUPLICATE_KEYWORDS')]
+  ));
+  assert.deepStrictEqual(duplicates['twin-a'], {
+    type: 'DUPLICATE_KEYWORDS',
+    message: 'Keywords are identical to 1 other product(s)',
+    relatedProductIds: ['twin-b']
+  });
+  assert.deepStrictEqual(duplicates['twin-b'].relatedProductIds, ['twin-a']);
+  // Products with no keywords are not duplicates of each other
+  assert.strictEqual(duplicates.wordy, undefined);
+
+  assert.deepStrictEqual(data.seoAudit.repeatedKeywords, [
+    { keyword: 'ceiling', productCount: 2, productIds: ['twin-a', 'twin-b'] },
+    { keyword: 'infrared', productCount: 2, productIds: ['twin-a', 'twin-b'] }
+  ]);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ADMIN, buildProduct, createTestApi, tempDir } = require('./helpers');
+const { createJsonFileSource, createMemorySource } = require('../catalog-sources');
+const { createSnapshotStore } = require('../catalog-snapshots');
+
+const SNAPSHOTS = '{ catalogSnapshots { scrapedAt } }';
+const RELOAD = 'mutation { reloadCatalog { status } }';
+
+test('reloading a catalog without changes adds no snapshot', async (t) => {
+  const snapshots = createSnapshotStore({ directory: tempDir() });
+  const api = await createTestApi(createMemorySource([buildProduct('panel')]), {}, { snapshots });
+  t.after(() => api.stop());
+
+  await api.query(RELOAD, undefined, ADMIN);
+  await api.query(RELOAD, undefined, ADMIN);
+  assert.strictEqual((await api.query(SNAPSHOTS)).data.catalogSnapshots.length, 1);
+});
+
+test('a new scrape is only snapshotted when its products changed', async (t) => {
+  const dir = tempDir();
+  const catalogFile = path.join(dir, 'crystallize-products.json');
+  const writeScrape = (scrapedAt, price) => {
+    fs.writeFileSync(catalogFile, JSON.stringify({ metadata: { scrapedAt }, products: [buildProduct('panel', { price })] }));
+  };
+  writeScrape('2025-07-01T00:00:00.000Z', 300);
+  const source = createJsonFileSource({ paths: [catalogFile], editsFile: path.join(dir, 'edits.json') });
+  const api = await createTestApi(source, {}, { snapshots: createSnapshotStore({ directory: path.join(dir, 'snapshots'), maxAgeDays: Infinity }) });
+  t.after(() => api.stop());
+
+  writeScrape('2025-07-02T00:00:00.000Z', 300);
+  await api.query(RELOAD, undefined, ADMIN);
+  writeScrape('2025-07-03T00:00:00.000Z', 320);
+  await api.query(RELOAD, undefined, ADMIN);
+
+  const { catalogSnapshots } = (await api.query(SNAPSHOTS)).data;
+  assert.deepStrictEqual(catalogSnapshots.map(snapshot => snapshot.scrapedAt), ['2025-07-03T00:00:00.000Z', '2025-07-01T00:00:00.000Z']);
+  const history = await api.query('{ product(id: "panel") { priceHistory { price } } }');
+  assert.deepStrictEqual(history.data.product.priceHistory.map(point => point.price), [300, 320]);
+});
+
+test('without a snapshot store there is no history, and nothing is written', async (t) => {
+  const api = await createTestApi([buildProduct('panel')]);
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query('{ catalogSnapshots { id } product(id: "panel") { priceHistory { price } } }');
+  assert.ifError(errors);
+  assert.deepStrictEqual(data, { catalogSnapshots: [], product: { priceHistory: [] } });
+});
+
+test('stock history shows a product selling out', async (t) => {
+  const dir = tempDir();
+  const catalogFile = path.join(dir, 'crystallize-products.json');
+  const writeScrape = (scrapedAt, stock) => {
+    const product = buildProduct('panel');
+    product.variants[0].stock = stock;
+    fs.writeFileSync(catalogFile, JSON.stringify({ metadata: { scrapedAt }, products: [product] }));
+  };
+  writeScrape('2025-07-01T00:00:00.000Z', 24);
+  const source = createJsonFileSource({ paths: [catalogFile], editsFile: path.join(dir, 'edits.json') });
+  const api = await createTestApi(source, {}, { snapshots: createSnapshotStore({ directory: path.join(dir, 'snapshots'), maxAgeDays: Infinity }) });
+  t.after(() => api.stop());
+
+  writeScrape('2025-07-02T00:00:00.000Z', 0);
+  await api.query(RELOAD, undefined, ADMIN);
+
+  const { data } = await api.query('{ product(id: "panel") { stockHistory { stock } variants { stock } } }');
+  assert.deepStrictEqual(data.product.stockHistory.map(point => point.stock), [24, 0]);
+  assert.strictEqual(data.product.variants[0].stock, 0);
+});
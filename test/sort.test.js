@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+const ids = connection => connection.edges.map(edge => edge.node.id);
+
+function catalog() {
+  const product = (id, name, { price, wattage, extractedAt, coverage, efficiency }) => ({
+    ...buildProduct(id, { price, wattage, specs: { coverage, efficiency } }),
+    name,
+    extractedAt
+  });
+  return [
+    product('bravo', 'Aurora', { price: 200, wattage: '1000 W', extractedAt: '2025-07-02T00:00:00.000Z', coverage: '10-15 m²', efficiency: 'A Energy Rating' }),
+    product('alpha', 'Zephyr', { price: 100, wattage: '1500 W', extractedAt: '2025-07-03T00:00:00.000Z', coverage: '20 m²', efficiency: 'A++ Energy Rating' }),
+    product('charlie', 'Mistral', { price: 300, wattage: '500 W', extractedAt: '2025-07-01T00:00:00.000Z', coverage: '5 m²', efficiency: 'B Energy Rating' }),
+    // Ties bravo on price and charlie on name, and has no date, coverage or rating
+    product('delta', 'Mistral', { price: 200, wattage: '600 W' })
+  ];
+}
+
+const SORTED = `
+  query Sorted($sort: [ProductSort!]) {
+    products(sort: $sort) { edges { node { id } } }
+  }
+`;
+
+test('products sort ascending and descending on each field, missing values last', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const expected = {
+    PRICE: ['alpha', 'bravo', 'delta', 'charlie'],
+    WATTAGE: ['charlie', 'delta', 'bravo', 'alpha'],
+    NAME: ['bravo', 'charlie', 'delta', 'alpha'],
+    EXTRACTED_AT: ['charlie', 'bravo', 'alpha', 'delta'],
+    COVERAGE: ['charlie', 'bravo', 'alpha', 'delta'],
+    EFFICIENCY: ['charlie', 'bravo', 'alpha', 'delta']
+  };
+  const expectedDesc = {
+    PRICE: ['charlie', 'bravo', 'delta', 'alpha'],
+    WATTAGE: ['alpha', 'bravo', 'delta', 'charlie'],
+    NAME: ['alpha', 'charlie', 'delta', 'bravo'],
+    EXTRACTED_AT: ['alpha', 'bravo', 'charlie', 'delta'],
+    COVERAGE: ['alpha', 'bravo', 'charlie', 'delta'],
+    EFFICIENCY: ['alpha', 'bravo', 'charlie', 'delta']
+  };
+
+  for (const [field, order] of Object.entries(expected)) {
+    const asc = await api.query(SORTED, { sort: [{ field }] });
+    assert.ifError(asc.errors);
+    assert.deepStrictEqual(ids(asc.data.products), order, `${field} ASC`);
+
+    const desc = await api.query(SORTED, { sort: [{ field, direction: 'DESC' }] });
+    assert.ifError(desc.errors);
+    assert.deepStrictEqual(ids(desc.data.products), expectedDesc[field], `${field} DESC`);
+  }
+});
+
+test('equal sort values fall back to id order, then to the next sort key', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  // bravo and delta share a price; the id tie-break holds in both directions
+  const { data, errors } = await api.query(SORTED, { sort: [{ field: 'PRICE', direction: 'DESC' }] });
+  assert.ifError(errors);
+  assert.deepStrictEqual(ids(data.products).slice(1, 3), ['bravo', 'delta']);
+
+  const byNameThenPrice = await api.query(SORTED, { sort: [{ field: 'NAME' }, { field: 'PRICE' }] });
+  assert.ifError(byNameThenPrice.errors);
+  assert.deepStrictEqual(ids(byNameThenPrice.data.products), ['bravo', 'delta', 'charlie', 'alpha']);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+const SPECS = `
+  query Specs($id: ID!) {
+    product(id: $id) {
+      specifications { wattage }
+      technicalSpecs { wattage { value unit } coverage { min max } }
+    }
+  }
+`;
+
+test('wattage comes from the technical chunk before the numeric spec chunk', async (t) => {
+  const api = await createTestApi([buildProduct('panel', { wattage: '1150 W' })]);
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(SPECS, { id: 'panel' });
+  assert.ifError(errors);
+  assert.strictEqual(data.product.specifications.wattage, 1150);
+  assert.deepStrictEqual(data.product.technicalSpecs.wattage, { value: 1150, unit: 'W' });
+});
+
+test('wattage parses thousands separators and decimal commas', async (t) => {
+  const api = await createTestApi([
+    buildProduct('patio', { wattage: '2,000W' }),
+    buildProduct('halo', { wattage: '1,5 kW' }),
+    buildProduct('big', { wattage: '1,950.5 W', specs: { coverage: '10,5-12 m²' } })
+  ]);
+  t.after(() => api.stop());
+
+  const wattage = async id => (await api.query(SPECS, { id })).data.product.specifications.wattage;
+  assert.strictEqual(await wattage('patio'), 2000);
+  assert.strictEqual(await wattage('halo'), 1500);
+  assert.strictEqual(await wattage('big'), 1951);
+
+  const { data } = await api.query(SPECS, { id: 'big' });
+  assert.deepStrictEqual(data.product.technicalSpecs.coverage, { min: 10.5, max: 12 });
+});
+
+test('wattage facet, filter and comparison agree with the technical wattage', async (t) => {
+  const api = await createTestApi([
+    buildProduct('small', { wattage: '450 W' }),
+    buildProduct('large', { wattage: '1150 W' })
+  ]);
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(`{
+    productFacets { facets { field buckets { value count } } }
+    productsByWattage(minWattage: 1000, maxWattage: 1500) { edges { node { id } } }
+    compareProducts(ids: ["small", "large"]) { rows { attribute values { display } } }
+  }`);
+  assert.ifError(errors);
+
+  const wattage = data.productFacets.facets.find(facet => facet.field === 'WATTAGE');
+  const counts = Object.fromEntries(wattage.buckets.map(bucket => [bucket.value, bucket.count]));
+  assert.strictEqual(counts['under-500'], 1);
+  assert.strictEqual(counts['1000-1499'], 1);
+  assert.deepStrictEqual(data.productsByWattage.edges.map(edge => edge.node.id), ['large']);
+
+  const row = data.compareProducts.rows.find(r => r.attribute === 'wattage');
+  assert.deepStrictEqual(row.values.map(value => value.display), ['450W', '1150W']);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+const SUGGEST = `
+  query Suggest($prefix: String!, $limit: Int) {
+    suggest(prefix: $prefix, limit: $limit) { text type id }
+  }
+`;
+
+test('suggest lists repeated names and SKUs once without losing other matches', async (t) => {
+  // 25 listings share a name and a SKU, which alone would fill every trie node
+  const repeats = Array.from({ length: 25 }, (unused, index) => {
+    const product = buildProduct(`repeat-${index}`, {
+      variants: [{ name: 'Default', sku: 'HER-4W', price: 100, priceVariants: [{ price: 100, currency: 'GBP' }] }]
+    });
+    return { ...product, name: 'Herschel Panel' };
+  });
+  const zenith = { ...buildProduct('zenith'), name: 'Herschel Zenith' };
+  const api = await createTestApi([...repeats, zenith]);
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(SUGGEST, { prefix: 'her', limit: 20 });
+  assert.ifError(errors);
+  const texts = data.suggest.map(suggestion => `${suggestion.type}:${suggestion.text}`);
+  assert.deepStrictEqual(texts.filter(text => text === 'PRODUCT:Herschel Panel'), ['PRODUCT:Herschel Panel']);
+  assert.deepStrictEqual(texts.filter(text => text === 'SKU:HER-4W'), ['SKU:HER-4W']);
+  assert.ok(texts.includes('PRODUCT:Herschel Zenith'), `expected Herschel Zenith in ${texts.join(', ')}`);
+});
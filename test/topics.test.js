@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+const ids = connection => connection.edges.map(edge => edge.node.id);
+
+const METADATA = { categories: [{ name: 'Panel Heaters' }] };
+
+function catalog() {
+  return [
+    {
+      ...buildProduct('panel'),
+      crystallizePath: '/heaters/panel-heaters',
+      topics: ['/heaters/panel-heaters', '/rooms/bathroom']
+    },
+    // Two topics under the same parent; the parent counts it once
+    { ...buildProduct('glass'), topics: ['/heaters/panel-heaters/glass', '/heaters/panel-heaters/slim'] },
+    // No topics, so the folder of its path (/heaters) is used
+    buildProduct('oil')
+  ];
+}
+
+test('topicTree nests topics with a product count at every level', async (t) => {
+  const api = await createTestApi(catalog(), METADATA);
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(`{
+    topicTree { path name depth productCount children { path name depth productCount children { path name productCount } } }
+  }`);
+  assert.ifError(errors);
+  assert.deepStrictEqual(data.topicTree, [
+    {
+      path: '/heaters',
+      name: 'Heaters',
+      depth: 1,
+      productCount: 3,
+      children: [{
+        path: '/heaters/panel-heaters',
+        // Named after the matching category rather than the slug
+        name: 'Panel Heaters',
+        depth: 2,
+        productCount: 2,
+        children: [
+          { path: '/heaters/panel-heaters/glass', name: 'Glass', productCount: 1 },
+          { path: '/heaters/panel-heaters/slim', name: 'Slim', productCount: 1 }
+        ]
+      }]
+    },
+    {
+      path: '/rooms',
+      name: 'Rooms',
+      depth: 1,
+      productCount: 1,
+      children: [{ path: '/rooms/bathroom', name: 'Bathroom', depth: 2, productCount: 1, children: [] }]
+    }
+  ]);
+});
+
+test('productsByTopic includes descendant topics unless asked not to', async (t) => {
+  const api = await createTestApi(catalog(), METADATA);
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(`{
+    heaters: productsByTopic(path: "/heaters") { edges { node { id } } }
+    panels: productsByTopic(path: "Heaters/Panel-Heaters/") { edges { node { id } } }
+    panelsOnly: productsByTopic(path: "/heaters/panel-heaters", includeDescendants: false) { edges { node { id } } }
+    rooms: productsByTopic(path: "/rooms") { edges { node { id } } }
+    partial: productsByTopic(path: "/heat") { totalCount }
+  }`);
+  assert.ifError(errors);
+  assert.deepStrictEqual(ids(data.heaters), ['panel', 'glass', 'oil']);
+  assert.deepStrictEqual(ids(data.panels), ['panel', 'glass']);
+  assert.deepStrictEqual(ids(data.panelsOnly), ['panel']);
+  assert.deepStrictEqual(ids(data.rooms), ['panel']);
+  // A path matches whole segments only
+  assert.strictEqual(data.partial.totalCount, 0);
+});
+
+test('breadcrumbs follow the crystallize path, or the first topic, down to the product', async (t) => {
+  const api = await createTestApi(catalog(), METADATA);
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(`{
+    products { edges { node { id breadcrumbs { name path } } } }
+  }`);
+  assert.ifError(errors);
+  const crumbs = Object.fromEntries(data.products.edges.map(({ node }) => [node.id, node.breadcrumbs]));
+  assert.deepStrictEqual(crumbs.panel, [
+    { name: 'Heaters', path: '/heaters' },
+    { name: 'Panel Heaters', path: '/heaters/panel-heaters' },
+    { name: 'Heater panel', path: '/heaters/panel' }
+  ]);
+  assert.deepStrictEqual(crumbs.glass.map(crumb => crumb.path), [
+    '/heaters', '/heaters/panel-heaters', '/heaters/panel-heaters/glass', '/heaters/glass'
+  ]);
+  assert.deepStrictEqual(crumbs.oil, [
+    { name: 'Heaters', path: '/heaters' },
+    { name: 'Heater oil', path: '/heaters/oil' }
+  ]);
+});
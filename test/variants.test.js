@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildProduct, createTestApi } = require('./helpers');
+
+function catalog() {
+  const variant = (sku, colour, wattage, isDefault = false) => ({
+    name: sku,
+    sku,
+    price: 300,
+    priceVariants: [{ price: 300, currency: 'GBP' }],
+    stock: 1,
+    isDefault,
+    attributes: [{ attribute: 'Colour', value: colour }, { attribute: 'Wattage', value: wattage }]
+  });
+  return [buildProduct('panel', {
+    variants: [
+      variant('PANEL-W6', 'White', 600),
+      variant('PANEL-W10', 'White', 1000),
+      variant('PANEL-B6', 'Black', 600),
+      variant('PANEL-B10', 'Black', 1000, true)
+    ]
+  })];
+}
+
+const SELECT = `
+  query Select($productId: ID!, $selection: [AttributeInput!]!) {
+    variantBySelection(productId: $productId, selection: $selection) { sku isDefault attributes { attribute value } }
+  }
+`;
+
+test('a full selection picks the variant with exactly those attributes', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const { data, errors } = await api.query(SELECT, {
+    productId: 'panel',
+    selection: [{ attribute: 'Colour', value: 'White' }, { attribute: 'Wattage', value: '1000' }]
+  });
+  assert.ifError(errors);
+  assert.strictEqual(data.variantBySelection.sku, 'PANEL-W10');
+  assert.deepStrictEqual(data.variantBySelection.attributes, [
+    { attribute: 'Colour', value: 'White' },
+    { attribute: 'Wattage', value: '1000' }
+  ]);
+
+  // Attribute names and values are compared ignoring case and surrounding spaces
+  const loose = await api.query(SELECT, {
+    productId: 'panel',
+    selection: [{ attribute: ' colour', value: 'BLACK ' }, { attribute: 'wattage', value: '600' }]
+  });
+  assert.ifError(loose.errors);
+  assert.strictEqual(loose.data.variantBySelection.sku, 'PANEL-B6');
+});
+
+test('a partial selection prefers the default variant, then the first match', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  const black = await api.query(SELECT, { productId: 'panel', selection: [{ attribute: 'Colour', value: 'Black' }] });
+  assert.ifError(black.errors);
+  assert.strictEqual(black.data.variantBySelection.sku, 'PANEL-B10');
+
+  const small = await api.query(SELECT, { productId: 'panel', selection: [{ attribute: 'Wattage', value: '600' }] });
+  assert.ifError(small.errors);
+  assert.strictEqual(small.data.variantBySelection.sku, 'PANEL-W6');
+});
+
+test('a selection no variant has, or an unknown product, returns null', async (t) => {
+  const api = await createTestApi(catalog());
+  t.after(() => api.stop());
+
+  for (const variables of [
+    { productId: 'panel', selection: [{ attribute: 'Colour', value: 'Red' }] },
+    { productId: 'panel', selection: [{ attribute: 'Colour', value: 'White' }, { attribute: 'Finish', value: 'Gloss' }] },
+    { productId: 'missing', selection: [{ attribute: 'Colour', value: 'White' }] }
+  ]) {
+    const { data, errors } = await api.query(SELECT, variables);
+    assert.ifError(errors);
+    assert.strictEqual(data.variantBySelection, null, JSON.stringify(variables));
+  }
+});